@@ -0,0 +1,154 @@
+/**
+ * Access Control
+ * Admin roles stored under admins/{uid} ({email, name, role, status}) and the
+ * permissions each role grants. The dashboard checks these before every action;
+ * database.rules.json enforces the same matrix on the server, so the two must be
+ * changed together.
+ *
+ * The first super admin has to be created by hand in the Firebase console
+ * (admins/{uid} = {email, name, role: "super_admin", status: "active"}); after
+ * that, super admins manage the other admins from the dashboard.
+ */
+
+class AccessDeniedError extends Error {
+    constructor(permission, role) {
+        super(`${AccessControl.ROLES[role] ? AccessControl.ROLES[role].label : 'This account'} cannot ${AccessControl.PERMISSIONS[permission] || permission}`);
+        this.name = 'AccessDeniedError';
+        this.permission = permission;
+        this.role = role;
+    }
+}
+
+class AccessControl {
+    /**
+     * @param {Object} admin - Record from admins/{uid}
+     */
+    constructor(admin) {
+        this.admin = admin || {};
+        this.role = AccessControl.ROLES[this.admin.role] ? this.admin.role : null;
+    }
+
+    /**
+     * Actions that can be granted, with the phrase used in "cannot ..." messages
+     */
+    static get PERMISSIONS() {
+        return {
+            import: 'import paysheets or create draft pay runs',
+            verify: 'verify pay runs',
+            approve: 'approve pay runs or send them back',
+            publish: 'publish, lock or reopen pay runs or revoke slips',
+            export: 'export salary slips',
+            configurePayroll: 'change pay heads, rates or pay masters',
+            manageTeachers: 'add, edit, approve or remove teachers',
+            manageAdmins: 'manage admin accounts',
+            viewAudit: 'view import and pay run history'
+        };
+    }
+
+    /**
+     * Roles and their permissions. Payroll clerks prepare a run and approvers
+     * release it, so no single role other than super admin can do both.
+     */
+    static get ROLES() {
+        return {
+            super_admin: {
+                label: 'Super Admin',
+                permissions: ['import', 'verify', 'approve', 'publish', 'export', 'configurePayroll', 'manageTeachers', 'manageAdmins', 'viewAudit']
+            },
+            payroll_clerk: {
+                label: 'Payroll Clerk',
+                permissions: ['import', 'verify', 'export', 'configurePayroll', 'manageTeachers']
+            },
+            approver: {
+                label: 'Approver',
+                permissions: ['approve', 'publish', 'export', 'viewAudit']
+            },
+            auditor: {
+                label: 'Auditor',
+                permissions: ['export', 'viewAudit']
+            },
+            read_only: {
+                label: 'Read Only',
+                permissions: []
+            }
+        };
+    }
+
+    /**
+     * Permission needed for each pay run action (see PayRun.TRANSITIONS)
+     */
+    static get TRANSITION_PERMISSIONS() {
+        return {
+            verify: 'verify',
+            approve: 'approve',
+            sendBack: 'approve',
+            publish: 'publish',
+            lock: 'publish',
+            reopen: 'publish'
+        };
+    }
+
+    /**
+     * Load the signed-in user's admin record
+     * @param {Object} user - Firebase Auth user
+     * @returns {Promise<AccessControl|null>} null when the user is not an active admin
+     */
+    static async load(user) {
+        if (!user) return null;
+
+        try {
+            const snapshot = await firebase.database().ref(`admins/${user.uid}`).once('value');
+            const access = new AccessControl(snapshot.val());
+            return access.isActive() ? access : null;
+        } catch (error) {
+            // Rules deny the read to anyone without an admin record
+            console.warn('⚠️ Could not read admin record:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether the record is an active admin with a known role
+     */
+    isActive() {
+        return !!this.role && this.admin.status === 'active';
+    }
+
+    /**
+     * Display label of the role
+     */
+    get roleLabel() {
+        return this.role ? AccessControl.ROLES[this.role].label : 'No role';
+    }
+
+    /**
+     * Whether the admin may perform an action
+     * @param {string} permission - Key of AccessControl.PERMISSIONS
+     */
+    can(permission) {
+        return this.isActive() && AccessControl.ROLES[this.role].permissions.includes(permission);
+    }
+
+    /**
+     * Throw unless the admin may perform an action
+     * @param {string} permission - Key of AccessControl.PERMISSIONS
+     */
+    require(permission) {
+        if (!this.can(permission)) {
+            throw new AccessDeniedError(permission, this.role);
+        }
+    }
+
+    /**
+     * Whether the admin may take a pay run action
+     * @param {string} action - Key of PayRun.TRANSITIONS
+     */
+    canTransition(action) {
+        const permission = AccessControl.TRANSITION_PERMISSIONS[action];
+        return !!permission && this.can(permission);
+    }
+}
+
+// Export for use in other modules
+window.AccessControl = AccessControl;
+window.AccessDeniedError = AccessDeniedError;
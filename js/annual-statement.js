@@ -0,0 +1,132 @@
+/**
+ * Annual Statement
+ * Consolidates a teacher's published slips for an Indian financial year (April
+ * to March) into one statement: a row per slip, every pay head totalled for the
+ * year, and a Form 16-style summary of salary paid and tax-related deductions.
+ * Supplementary runs (arrears, bonus, corrections) count in the year they were
+ * paid, like the month's salary.
+ */
+
+class AnnualStatement {
+    /**
+     * Deductions listed in the tax summary, with their labels
+     */
+    static get TAX_SUMMARY_HEADS() {
+        return [
+            ['profTax', 'Professional tax (section 16(iii))'],
+            ['pf', 'Provident fund (section 80C)'],
+            ['lic', 'Life insurance premium (section 80C)'],
+            ['medicalInsurance', 'Medical insurance (section 80D)'],
+            ['incomeTax', 'Income tax deducted at source']
+        ];
+    }
+
+    /**
+     * First calendar year of the financial year a slip belongs to,
+     * e.g. 2025 for any month from April 2025 to March 2026
+     * @param {Object} slip - Slip with year and monthNum (or month name)
+     * @returns {number|null} null when the slip has no usable month
+     */
+    static getFinancialYear(slip) {
+        const year = parseInt(slip.year, 10);
+        const monthIndex = parseInt(slip.monthNum, 10) || (new Date(`${slip.month} 1, 2000`).getMonth() + 1);
+        if (!year || !monthIndex) return null;
+        return monthIndex >= 4 ? year : year - 1;
+    }
+
+    /**
+     * Display label of a financial year, e.g. "2025-26"
+     * @param {number} startYear - First calendar year of the financial year
+     */
+    static getLabel(startYear) {
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Financial years the slips fall in, newest first
+     * @param {Array} slips - Slips with year and monthNum
+     */
+    static listFinancialYears(slips) {
+        const years = new Set();
+        slips.forEach(slip => {
+            const startYear = AnnualStatement.getFinancialYear(slip);
+            if (startYear) years.add(startYear);
+        });
+        return Array.from(years).sort((a, b) => b - a);
+    }
+
+    /**
+     * Financial year the current date falls in
+     * @param {Date} today - Current date
+     */
+    static currentFinancialYear(today = new Date()) {
+        return today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+    }
+
+    /**
+     * Build one teacher's statement for a financial year
+     * @param {Array} slips - The teacher's published slips (any years)
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {PayHeads} payHeads - Pay head catalog
+     * @returns {Object|null} Statement, or null when no slip falls in the year
+     */
+    static build(slips, startYear, payHeads = new PayHeads()) {
+        const yearSlips = slips
+            .filter(slip => AnnualStatement.getFinancialYear(slip) === startYear)
+            // April to March, each month's regular run before its supplementary runs
+            .sort((a, b) => `${a.year}${a.monthNum}`.localeCompare(`${b.year}${b.monthNum}`) || PayRun.compare(a, b));
+        if (yearSlips.length === 0) return null;
+
+        const fields = [...payHeads.allHeads.map(head => head.id), 'grossTotal', 'totalDeductions', 'netPay'];
+        const totals = {};
+        fields.forEach(field => { totals[field] = 0; });
+
+        const rows = yearSlips.map(slip => {
+            const amounts = payHeads.amounts(slip);
+            fields.forEach(field => { totals[field] += amounts[field] || 0; });
+            return {
+                title: PayRun.getTitle(slip),
+                paysheetId: slip.paysheetId || '',
+                ...amounts
+            };
+        });
+
+        // Identity fields come from the latest slip of the year
+        const latest = yearSlips[yearSlips.length - 1];
+        return {
+            teacherId: latest.teacherId,
+            teacherName: latest.teacherName || '',
+            designation: latest.designation || '',
+            department: latest.department || '',
+            payScale: latest.payScale || '',
+            startYear,
+            financialYear: AnnualStatement.getLabel(startYear),
+            rows,
+            totals,
+            taxableEarnings: yearSlips.reduce((sum, slip) => sum + payHeads.taxableEarnings(payHeads.amounts(slip)), 0)
+        };
+    }
+
+    /**
+     * Build statements for every teacher with slips in a financial year
+     * @param {Array} slips - Published slips of all teachers
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {PayHeads} payHeads - Pay head catalog
+     * @returns {Array} Statements sorted by teacher ID
+     */
+    static buildAll(slips, startYear, payHeads = new PayHeads()) {
+        const byTeacher = {};
+        slips.forEach(slip => {
+            if (!slip || !slip.teacherId) return;
+            (byTeacher[slip.teacherId] = byTeacher[slip.teacherId] || []).push(slip);
+        });
+
+        return Object.keys(byTeacher)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(teacherId => AnnualStatement.build(byTeacher[teacherId], startYear, payHeads))
+            .filter(Boolean);
+    }
+}
+
+// Export for use in other modules
+window.AnnualStatement = AnnualStatement;
@@ -0,0 +1,303 @@
+/**
+ * Bank Disbursement
+ * Validates the bank details kept on teacher profiles (teachers/{teacherId}/bank)
+ * and turns an approved pay run into the bulk-payment file accounts sends to the
+ * bank, in the CSV or fixed-width layout the bank asks for, with a control total
+ * (count and amount) to quote in the covering letter.
+ *
+ * Teachers without usable bank details are blocking exceptions: the file cannot
+ * be downloaded until they are fixed, so nobody is silently left unpaid.
+ */
+
+class BankDisbursement {
+    /**
+     * IFSC: four letters for the bank, a zero, six letters or digits for the branch
+     */
+    static get IFSC_PATTERN() {
+        return /^[A-Z]{4}0[A-Z0-9]{6}$/;
+    }
+
+    /**
+     * Account numbers of Indian banks are 9 to 18 digits
+     */
+    static get ACCOUNT_NUMBER_PATTERN() {
+        return /^\d{9,18}$/;
+    }
+
+    /**
+     * Pay run states from which salary may be paid out
+     */
+    static get PAYABLE_STATES() {
+        return ['approved', 'published', 'locked'];
+    }
+
+    /**
+     * File layouts. CSV columns have a header; fixed-width fields have a width,
+     * alignment and pad character, with header (H) and trailer (T) records that
+     * carry the control total. Amounts in fixed-width files are in paise.
+     */
+    static get LAYOUTS() {
+        return {
+            csv: {
+                label: 'CSV (one row per beneficiary)',
+                extension: 'csv',
+                columns: [
+                    { field: 'serial', header: 'Sr No' },
+                    { field: 'accountHolderName', header: 'Beneficiary Name' },
+                    { field: 'accountNumber', header: 'Beneficiary Account No' },
+                    { field: 'ifsc', header: 'IFSC' },
+                    { field: 'amount', header: 'Amount' },
+                    { field: 'debitAccount', header: 'Debit Account No' },
+                    { field: 'narration', header: 'Narration' },
+                    { field: 'teacherId', header: 'Employee ID' }
+                ]
+            },
+            fixedWidth: {
+                label: 'Fixed width (header, detail and trailer records)',
+                extension: 'txt',
+                header: [
+                    { value: 'H', width: 1 },
+                    { field: 'debitAccount', width: 18, align: 'left' },
+                    { field: 'valueDate', width: 8, align: 'left' },
+                    { field: 'count', width: 6, align: 'right', pad: '0' },
+                    { field: 'amountPaise', width: 15, align: 'right', pad: '0' }
+                ],
+                detail: [
+                    { value: 'D', width: 1 },
+                    { field: 'accountNumber', width: 18, align: 'left' },
+                    { field: 'ifsc', width: 11, align: 'left' },
+                    { field: 'accountHolderName', width: 35, align: 'left' },
+                    { field: 'amountPaise', width: 15, align: 'right', pad: '0' },
+                    { field: 'narration', width: 30, align: 'left' },
+                    { field: 'teacherId', width: 10, align: 'left' }
+                ],
+                trailer: [
+                    { value: 'T', width: 1 },
+                    { field: 'count', width: 6, align: 'right', pad: '0' },
+                    { field: 'amountPaise', width: 15, align: 'right', pad: '0' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Settings used when none are saved in payrollConfig/bankFile
+     */
+    static get DEFAULT_SETTINGS() {
+        return {
+            layout: 'csv',
+            debitAccount: '',
+            // {month} and {year} are replaced with the pay run's month and year
+            narration: 'SALARY {month} {year}'
+        };
+    }
+
+    /**
+     * Check bank details entered for a teacher
+     * @param {Object} form - {accountHolderName, accountNumber, confirmAccountNumber, ifsc}
+     * @returns {Array} Error messages
+     */
+    static validateBankDetails(form) {
+        const errors = [];
+        const accountNumber = (form.accountNumber || '').trim();
+        if (!(form.accountHolderName || '').trim()) errors.push('Enter the account holder name');
+        if (!BankDisbursement.ACCOUNT_NUMBER_PATTERN.test(accountNumber)) {
+            errors.push('Account number must be 9 to 18 digits');
+        } else if (accountNumber !== (form.confirmAccountNumber || '').trim()) {
+            errors.push('Account numbers do not match');
+        }
+        if (!BankDisbursement.IFSC_PATTERN.test((form.ifsc || '').trim().toUpperCase())) {
+            errors.push('IFSC must be 11 characters: four letters, a zero, then six letters or digits (e.g. SBIN0001234)');
+        }
+        return errors;
+    }
+
+    /**
+     * Bank details as stored on the teacher profile
+     * @param {Object} form - Validated form values
+     */
+    static normalizeBankDetails(form) {
+        return {
+            accountHolderName: form.accountHolderName.trim().replace(/\s+/g, ' '),
+            accountNumber: form.accountNumber.trim(),
+            ifsc: form.ifsc.trim().toUpperCase()
+        };
+    }
+
+    /**
+     * Account number with all but the last four digits hidden
+     * @param {string} accountNumber - Account number
+     */
+    static maskAccountNumber(accountNumber) {
+        const digits = (accountNumber || '').toString();
+        return digits.length > 4 ? `${'•'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits;
+    }
+
+    /**
+     * Whether salary of a pay run may be sent to the bank
+     * @param {Object} paysheet - Paysheet node
+     */
+    static canDisburse(paysheet) {
+        return BankDisbursement.PAYABLE_STATES.includes(PayRun.getStatus(paysheet));
+    }
+
+    /**
+     * Build the payment file for a pay run
+     * @param {Object} paysheet - Paysheet node
+     * @param {Object} teachers - Teacher profiles keyed by teacher ID
+     * @param {Object} settings - See DEFAULT_SETTINGS
+     * @returns {Object} {rows, exceptions, skipped, controlTotal, content, fileName}
+     */
+    static build(paysheet, teachers, settings = {}) {
+        const config = { ...BankDisbursement.DEFAULT_SETTINGS, ...settings };
+        const layout = BankDisbursement.LAYOUTS[config.layout];
+        if (!layout) throw new Error(`Unknown bank file layout: ${config.layout}`);
+
+        const narration = config.narration
+            .replace('{month}', paysheet.month || '')
+            .replace('{year}', paysheet.year || '')
+            .toUpperCase();
+        const exceptions = [];
+        const skipped = [];
+
+        if (!BankDisbursement.canDisburse(paysheet)) {
+            exceptions.push({ teacherId: '', teacherName: '', reason: `${PayRun.getTitle(paysheet)} is not approved yet` });
+        }
+        if (config.layout === 'fixedWidth' && !BankDisbursement.ACCOUNT_NUMBER_PATTERN.test(config.debitAccount || '')) {
+            exceptions.push({ teacherId: '', teacherName: '', reason: 'Set the institute debit account number' });
+        }
+
+        const rows = [];
+        Object.values(paysheet.records || {})
+            .filter(record => record && record.teacherId)
+            .sort((a, b) => a.teacherId.toString().localeCompare(b.teacherId.toString(), undefined, { numeric: true }))
+            .forEach(record => {
+                const amount = Math.round((parseFloat(record.netPay || record.netSalary) || 0) * 100) / 100;
+                const teacherName = record.teacherName || '';
+                if (amount <= 0) {
+                    skipped.push({ teacherId: record.teacherId, teacherName, reason: 'Net pay is zero' });
+                    return;
+                }
+
+                const bank = (teachers[record.teacherId] || {}).bank;
+                const reason = !teachers[record.teacherId] ? 'No teacher profile'
+                    : !bank ? 'Bank details missing'
+                    : !BankDisbursement.ACCOUNT_NUMBER_PATTERN.test(bank.accountNumber || '') ? 'Account number is invalid'
+                    : !BankDisbursement.IFSC_PATTERN.test(bank.ifsc || '') ? 'IFSC is invalid'
+                    : !bank.accountHolderName ? 'Account holder name missing'
+                    : null;
+                if (reason) {
+                    exceptions.push({ teacherId: record.teacherId, teacherName, reason });
+                    return;
+                }
+
+                rows.push({
+                    teacherId: record.teacherId,
+                    teacherName,
+                    accountHolderName: bank.accountHolderName,
+                    accountNumber: bank.accountNumber,
+                    ifsc: bank.ifsc,
+                    amount,
+                    amountPaise: Math.round(amount * 100),
+                    narration,
+                    debitAccount: config.debitAccount || ''
+                });
+            });
+
+        rows.forEach((row, index) => { row.serial = index + 1; });
+        const controlTotal = {
+            count: rows.length,
+            amount: Math.round(rows.reduce((sum, row) => sum + row.amountPaise, 0)) / 100
+        };
+
+        const content = config.layout === 'fixedWidth'
+            ? BankDisbursement.toFixedWidth(layout, rows, controlTotal, config, paysheet)
+            : BankDisbursement.toCsv(layout, rows);
+
+        return {
+            rows,
+            exceptions,
+            skipped,
+            controlTotal,
+            content,
+            fileName: `Bank_Transfer_${PayRun.getTitle(paysheet).replace(/[^A-Za-z0-9]+/g, '_')}.${layout.extension}`
+        };
+    }
+
+    /**
+     * CSV file with a header row
+     * @param {Object} layout - LAYOUTS.csv
+     * @param {Array} rows - Payment rows
+     */
+    static toCsv(layout, rows) {
+        const lines = [
+            layout.columns.map(column => column.header),
+            ...rows.map(row => layout.columns.map(column => column.field === 'amount' ? row.amount.toFixed(2) : row[column.field]))
+        ];
+        return lines.map(line => line.map(PaysheetExporter.csvEscape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Fixed-width file: header, one detail record per payment, trailer
+     * @param {Object} layout - LAYOUTS.fixedWidth
+     * @param {Array} rows - Payment rows
+     * @param {Object} controlTotal - {count, amount}
+     * @param {Object} config - Settings
+     * @param {Object} paysheet - Paysheet node, for the value date
+     */
+    static toFixedWidth(layout, rows, controlTotal, config, paysheet) {
+        const date = SalarySlipPDF.getDocumentDate(paysheet);
+        const summary = {
+            debitAccount: config.debitAccount || '',
+            valueDate: [date.getUTCDate(), date.getUTCMonth() + 1].map(part => String(part).padStart(2, '0')).join('') + date.getUTCFullYear(),
+            count: controlTotal.count,
+            amountPaise: Math.round(controlTotal.amount * 100)
+        };
+        return [
+            BankDisbursement.formatRecord(layout.header, summary),
+            ...rows.map(row => BankDisbursement.formatRecord(layout.detail, row)),
+            BankDisbursement.formatRecord(layout.trailer, summary)
+        ].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * One fixed-width record; values longer than their field are cut
+     * @param {Array} fields - Field specs from the layout
+     * @param {Object} values - Values by field
+     */
+    static formatRecord(fields, values) {
+        return fields.map(spec => {
+            const value = String(spec.value !== undefined ? spec.value : (values[spec.field] ?? ''))
+                .replace(/[\r\n]/g, ' ')
+                .slice(0, spec.width);
+            const pad = spec.pad || ' ';
+            return spec.align === 'right' ? value.padStart(spec.width, pad) : value.padEnd(spec.width, pad);
+        }).join('');
+    }
+
+    /**
+     * Control sheet sent with the file
+     * @param {Object} result - From build()
+     * @param {Object} paysheet - Paysheet node
+     * @param {Object} settings - See DEFAULT_SETTINGS
+     * @param {string} generatedBy - Admin email
+     */
+    static buildControlSheet(result, paysheet, settings, generatedBy) {
+        const config = { ...BankDisbursement.DEFAULT_SETTINGS, ...settings };
+        return [
+            'Bharati Vidyapeeth Institute of Technology, Navi Mumbai',
+            'Salary Bulk Payment – Control Total',
+            '',
+            `Pay run:          ${PayRun.getTitle(paysheet)}`,
+            `File:             ${result.fileName}`,
+            `Debit account:    ${config.debitAccount || '-'}`,
+            `Beneficiaries:    ${result.controlTotal.count}`,
+            `Total amount:     ${result.controlTotal.amount.toFixed(2)}`,
+            `Generated by:     ${generatedBy || '-'}`,
+            `Generated at:     ${new Date().toISOString()}`
+        ].join('\r\n') + '\r\n';
+    }
+}
+
+// Export for use in other modules
+window.BankDisbursement = BankDisbursement;
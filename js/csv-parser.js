@@ -0,0 +1,254 @@
+/**
+ * CSV Parser
+ * Streaming RFC 4180 parser with delimiter detection (comma, semicolon, tab).
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF and a UTF-8 BOM.
+ */
+
+class CSVParseError extends Error {
+    constructor(message, line, column) {
+        super(`Line ${line}${column ? `, column ${column}` : ''}: ${message}`);
+        this.name = 'CSVParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class CSVParser {
+    /**
+     * @param {Object} options
+     * @param {string} options.delimiter - Fixed delimiter; detected from the input when omitted
+     * @param {Function} options.onRow - Called with (row, lineNumber) for every parsed row
+     * @param {number} options.sampleSize - Characters buffered for delimiter detection
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || null;
+        this.onRow = options.onRow || (() => {});
+        this.sampleSize = options.sampleSize || 8192;
+
+        this.pending = '';
+        this.started = false;
+        this.finished = false;
+
+        // Parser state
+        this.field = '';
+        this.row = [];
+        this.inQuotes = false;
+        this.quoteInQuotes = false;
+        this.afterQuote = false;
+        this.fieldQuoted = false;
+        this.skipLineFeed = false;
+        this.line = 1;
+        this.column = 0;
+        this.rowLine = 1;
+        this.quoteLine = 1;
+        this.previousCR = false;
+    }
+
+    /**
+     * Candidate delimiters, in order of preference on a tie
+     */
+    static get DELIMITERS() {
+        return [',', ';', '\t'];
+    }
+
+    /**
+     * Parse a complete CSV string
+     * @param {string} text - CSV content
+     * @param {Object} options - Parser options (see constructor)
+     * @returns {{rows: Array<Array<string>>, lineNumbers: Array<number>, delimiter: string}}
+     */
+    static parse(text, options = {}) {
+        const rows = [];
+        const lineNumbers = [];
+        const parser = new CSVParser({
+            ...options,
+            onRow: (row, line) => {
+                rows.push(row);
+                lineNumbers.push(line);
+            }
+        });
+        parser.write(text);
+        parser.end();
+        return { rows, lineNumbers, delimiter: parser.delimiter };
+    }
+
+    /**
+     * Pick the delimiter that splits the sample lines most consistently
+     * @param {string} sample - Beginning of the CSV content
+     */
+    static detectDelimiter(sample) {
+        const counts = {};
+        CSVParser.DELIMITERS.forEach(d => { counts[d] = [0]; });
+
+        let inQuotes = false;
+        let lines = 0;
+        for (let i = 0; i < sample.length && lines < 10; i++) {
+            const char = sample[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                if (char === '\r' && sample[i + 1] === '\n') i++;
+                lines++;
+                CSVParser.DELIMITERS.forEach(d => counts[d].push(0));
+            } else if (!inQuotes && counts[char]) {
+                counts[char][counts[char].length - 1]++;
+            }
+        }
+
+        let best = ',';
+        let bestScore = -1;
+        CSVParser.DELIMITERS.forEach(d => {
+            const perLine = counts[d].filter((count, index) => count > 0 || index < counts[d].length - 1);
+            if (perLine.length === 0 || perLine[0] === 0) return;
+
+            // Lines that agree with the header's field count, weighted by the count itself
+            const consistent = perLine.filter(count => count === perLine[0]).length;
+            const score = consistent * 1000 + perLine[0];
+            if (score > bestScore) {
+                best = d;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Feed a chunk of CSV text
+     * @param {string} chunk - Next piece of the input
+     */
+    write(chunk) {
+        if (this.finished) {
+            throw new Error('CSV parser already finished');
+        }
+
+        if (!this.started) {
+            this.pending += chunk;
+            if (!this.delimiter && this.pending.length < this.sampleSize) return;
+            this.start();
+            return;
+        }
+
+        this.consume(chunk);
+    }
+
+    /**
+     * Signal the end of input and flush the last row
+     */
+    end() {
+        if (this.finished) return;
+        if (!this.started) this.start();
+        this.finished = true;
+
+        if (this.quoteInQuotes) {
+            // A quote as the very last character closes the field
+            this.quoteInQuotes = false;
+            this.inQuotes = false;
+            this.afterQuote = true;
+        }
+
+        if (this.inQuotes) {
+            throw new CSVParseError('Unterminated quoted field', this.quoteLine);
+        }
+
+        if (this.field !== '' || this.row.length > 0 || this.fieldQuoted) {
+            this.endRow();
+        }
+    }
+
+    start() {
+        this.started = true;
+        let text = this.pending;
+        this.pending = '';
+
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+        if (!this.delimiter) {
+            this.delimiter = CSVParser.detectDelimiter(text);
+        }
+
+        this.consume(text);
+    }
+
+    consume(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            this.column++;
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.quoteInQuotes) {
+                this.quoteInQuotes = false;
+                if (char === '"') {
+                    // Escaped quote ("")
+                    this.field += '"';
+                    continue;
+                }
+                this.inQuotes = false;
+                this.afterQuote = true;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    this.quoteInQuotes = true;
+                } else {
+                    this.field += char;
+                    // Count CR, LF and CRLF as one line break each
+                    if (char === '\r' || (char === '\n' && !this.previousCR)) {
+                        this.line++;
+                        this.column = 0;
+                    }
+                }
+                this.previousCR = char === '\r';
+                continue;
+            }
+
+            if (char === this.delimiter) {
+                this.endField();
+            } else if (char === '\r' || char === '\n') {
+                this.endRow();
+                this.line++;
+                this.column = 0;
+                this.rowLine = this.line;
+                if (char === '\r') this.skipLineFeed = true;
+            } else if (this.afterQuote) {
+                if (char !== ' ') {
+                    throw new CSVParseError(`Unexpected character '${char}' after closing quote`, this.line, this.column);
+                }
+            } else if (char === '"' && this.field.trim() === '') {
+                this.inQuotes = true;
+                this.fieldQuoted = true;
+                this.field = '';
+                this.quoteLine = this.line;
+            } else {
+                this.field += char;
+            }
+        }
+    }
+
+    endField() {
+        this.row.push(this.fieldQuoted ? this.field : this.field.trim());
+        this.field = '';
+        this.fieldQuoted = false;
+        this.afterQuote = false;
+    }
+
+    endRow() {
+        this.endField();
+        const row = this.row;
+        this.row = [];
+
+        // Blank lines and rows of empty cells (e.g. trailing ",,,," lines from spreadsheets) carry no data
+        if (row.every(cell => cell === '')) return;
+
+        this.onRow(row, this.rowLine);
+    }
+}
+
+// Export for use in other modules
+window.CSVParser = CSVParser;
+window.CSVParseError = CSVParseError;
@@ -0,0 +1,95 @@
+/**
+ * Employee Numbers
+ * The one scheme teacher IDs are issued under: a fixed prefix and a zero-padded
+ * running number, e.g. N001, N002. The scheme is kept in employeeNumbers/scheme
+ * and the next number to issue in employeeNumbers/next; FirebaseDB.allocateTeacherId
+ * takes numbers from that counter in a transaction, so two admins (or an admin and
+ * a self-registering teacher) never receive the same ID.
+ *
+ * The prefix and width should match the "Teacher ID" column of the college's
+ * paysheet, so slips imported from the sheet land on the right teacher.
+ */
+
+class EmployeeNumbers {
+    /**
+     * Scheme used until one is saved
+     */
+    static get DEFAULT_SCHEME() {
+        return { prefix: 'N', digits: 3 };
+    }
+
+    /**
+     * Scheme with its prefix upper-cased and its width as a number
+     * @param {Object} scheme - {prefix, digits}
+     */
+    static normalizeScheme(scheme) {
+        const source = scheme || EmployeeNumbers.DEFAULT_SCHEME;
+        const digits = parseInt(source.digits, 10);
+        return {
+            prefix: (source.prefix || '').toString().trim().toUpperCase(),
+            digits: Number.isNaN(digits) ? EmployeeNumbers.DEFAULT_SCHEME.digits : digits
+        };
+    }
+
+    /**
+     * Check a scheme and the next number before they are saved
+     * @param {Object} scheme - {prefix, digits}
+     * @param {number|string} next - Next number to issue
+     * @returns {Array} Error messages
+     */
+    static validateScheme(scheme, next) {
+        const errors = [];
+        const normalized = EmployeeNumbers.normalizeScheme(scheme);
+        if (!/^[A-Z0-9_-]{0,10}$/.test(normalized.prefix)) {
+            errors.push('Prefix may only contain up to 10 letters, digits, - and _');
+        }
+        if (normalized.digits < 1 || normalized.digits > 10) {
+            errors.push('Digits must be between 1 and 10');
+        }
+        const number = Number(next);
+        if (!Number.isInteger(number) || number < 1) {
+            errors.push('Next number must be a whole number of 1 or more');
+        }
+        return errors;
+    }
+
+    /**
+     * Teacher ID for a running number, e.g. format({prefix: 'N', digits: 3}, 7) is "N007"
+     * @param {Object} scheme - {prefix, digits}
+     * @param {number} number - Running number
+     */
+    static format(scheme, number) {
+        const { prefix, digits } = EmployeeNumbers.normalizeScheme(scheme);
+        return `${prefix}${String(number).padStart(digits, '0')}`;
+    }
+
+    /**
+     * Running number of a teacher ID issued under the scheme
+     * @param {Object} scheme - {prefix, digits}
+     * @param {string} teacherId - Teacher ID
+     * @returns {number|null} Null when the ID does not follow the scheme
+     */
+    static parse(scheme, teacherId) {
+        const { prefix } = EmployeeNumbers.normalizeScheme(scheme);
+        const id = (teacherId || '').toString().trim().toUpperCase();
+        if (!id.startsWith(prefix)) return null;
+        const digits = id.slice(prefix.length);
+        return /^\d+$/.test(digits) ? Number(digits) : null;
+    }
+
+    /**
+     * Next number that does not clash with IDs already in use, for setting the
+     * counter when the scheme is introduced on existing data
+     * @param {Object} scheme - {prefix, digits}
+     * @param {Array} teacherIds - IDs from teachers and imported paysheets
+     */
+    static nextFree(scheme, teacherIds) {
+        const numbers = (teacherIds || [])
+            .map(id => EmployeeNumbers.parse(scheme, id))
+            .filter(number => number !== null);
+        return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+    }
+}
+
+// Export for use in other modules
+window.EmployeeNumbers = EmployeeNumbers;
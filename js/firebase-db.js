@@ -83,6 +83,273 @@ class FirebaseDB {
         }
     }
 
+    /**
+     * Save a teacher created by the office, with the entries teacher sign-in looks
+     * up and, when basic pay is known, a pay master for the next payroll run
+     * @param {string} teacherId - Teacher ID
+     * @param {Object} profile - Validated profile (see TeacherProfile.normalize)
+     * @param {string} email - Sign-in email
+     * @param {string} uid - Firebase Auth UID of the account created for the teacher
+     * @param {string} createdBy - Admin email
+     */
+    async addProvisionedTeacher(teacherId, profile, email, uid, createdBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const existing = await this.db.ref(`teachers/${teacherId}`).once('value');
+            if (existing.exists()) throw new Error(`Teacher ID ${teacherId} already exists`);
+
+            const now = new Date().toISOString();
+            const updates = {
+                [`teachers/${teacherId}`]: {
+                    ...profile,
+                    id: teacherId,
+                    email: email.toLowerCase(),
+                    uid,
+                    status: 'Active',
+                    registrationDate: now,
+                    approvedBy: createdBy || 'Admin',
+                    approvalDate: now,
+                    createdBy: createdBy || 'Admin',
+                    authCreated: true
+                },
+                [`teacherLogins/${teacherId}`]: { email: email.toLowerCase() },
+                [`teacherIds/${teacherId}`]: true,
+                [`teacherUids/${uid}`]: teacherId
+            };
+            if (profile.basicPay > 0) {
+                updates[`payMasters/${teacherId}`] = { ...TeacherProfile.toPayMaster(teacherId, profile), updatedAt: now };
+            }
+
+            await this.db.ref().update(updates);
+            console.log(`✅ Teacher created: ${teacherId}`);
+            return { success: true, id: teacherId };
+        } catch (error) {
+            console.error('Error creating teacher:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get one teacher's record
+     * @param {string} teacherId - Teacher ID
+     * @returns {Promise<Object|null>} Record with its ID, or null when missing
+     */
+    async getTeacher(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`teachers/${teacherId}`).once('value');
+            return snapshot.exists() ? { ...snapshot.val(), id: teacherId } : null;
+        } catch (error) {
+            console.error('Error getting teacher:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save an edited teacher profile and copy the changed fields to the pay master
+     * @param {string} teacherId - Teacher ID
+     * @param {Object} profile - Validated profile (see TeacherProfile.normalize)
+     * @param {string} updatedBy - Admin email
+     * @param {Array} changedFields - Profile fields that were edited
+     * @param {Object} historyEntry - Entry for teacherHistory when a tracked field changed (see TeacherHistory.buildEntry)
+     * @returns {Promise<Object>} {success, profile}; profile as saved, with tracked fields
+     *   at the latest change in force when the entry is back-dated
+     */
+    async updateTeacherProfile(teacherId, profile, updatedBy, changedFields, historyEntry = null) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            // A back-dated change does not override one that takes effect after it
+            if (historyEntry) {
+                const history = await this.getTeacherHistory(teacherId);
+                const latest = TeacherHistory.latest(profile, [...history, historyEntry]);
+                profile = { ...profile };
+                Object.keys(TeacherHistory.TRACKED_FIELDS).forEach(field => {
+                    if (profile[field] !== undefined) profile[field] = latest[field];
+                });
+            }
+
+            const updatedAt = new Date().toISOString();
+            const updates = {};
+            Object.keys(profile).forEach(field => {
+                updates[`teachers/${teacherId}/${field}`] = profile[field];
+            });
+            updates[`teachers/${teacherId}/updatedBy`] = updatedBy || null;
+            updates[`teachers/${teacherId}/updatedAt`] = firebase.database.ServerValue.TIMESTAMP;
+
+            // A pay master is only touched when a field it keeps was changed
+            const master = TeacherProfile.toPayMaster(teacherId, profile, changedFields);
+            if (Object.keys(master).length > 1) {
+                Object.keys(master).forEach(field => {
+                    updates[`payMasters/${teacherId}/${field}`] = master[field];
+                });
+                updates[`payMasters/${teacherId}/updatedAt`] = updatedAt;
+            }
+
+            // Saved with the profile so the record and its history never disagree
+            if (historyEntry) {
+                const entryId = this.db.ref(`teacherHistory/${teacherId}`).push().key;
+                updates[`teacherHistory/${teacherId}/${entryId}`] = historyEntry;
+            }
+
+            await this.db.ref().update(updates);
+            console.log(`✅ Teacher profile updated: ${teacherId}`);
+            return { success: true, profile };
+        } catch (error) {
+            console.error('Error updating teacher profile:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Effective-dated changes of a teacher's designation, department and pay
+     * @param {string} teacherId - Teacher ID
+     * @returns {Promise<Array>} Entries in the order they took effect (see TeacherHistory.sort)
+     */
+    async getTeacherHistory(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`teacherHistory/${teacherId}`).once('value');
+            return TeacherHistory.sort(snapshot.val() || {});
+        } catch (error) {
+            console.error('Error getting teacher history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every teacher's history, for working out pay structures across a payroll run
+     * @returns {Promise<Object>} Entries in the order they took effect, keyed by teacher ID
+     */
+    async getAllTeacherHistory() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('teacherHistory').once('value');
+            const histories = {};
+            Object.entries(snapshot.val() || {}).forEach(([teacherId, entries]) => {
+                histories[teacherId] = TeacherHistory.sort(entries);
+            });
+            return histories;
+        } catch (error) {
+            console.error('Error getting teacher history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a teacher's separation. The record and its slips are kept; the status
+     * becomes 'Separated' and later pay runs leave the teacher out.
+     * @param {string} teacherId - Teacher ID
+     * @param {Object} separation - {lastWorkingDay, reason, remarks, leaveBalanceDays, settlement, accessUntil}
+     * @param {string} recordedBy - Admin email
+     */
+    async recordSeparation(teacherId, separation, recordedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`teachers/${teacherId}`).update({
+                status: StaffLifecycle.SEPARATED_STATUS,
+                separation: {
+                    ...separation,
+                    recordedBy: recordedBy || null,
+                    recordedAt: new Date().toISOString()
+                },
+                updatedBy: recordedBy || null,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            console.log(`✅ Separation recorded: ${teacherId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error recording separation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Undo a separation recorded by mistake or a resignation that was withdrawn
+     * @param {string} teacherId - Teacher ID
+     * @param {string} updatedBy - Admin email
+     */
+    async withdrawSeparation(teacherId, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`teachers/${teacherId}`).update({
+                status: 'Active',
+                separation: null,
+                updatedBy: updatedBy || null,
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+            console.log(`✅ Separation withdrawn: ${teacherId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error withdrawing separation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Separations of all separated teachers, for leaving them out of pay runs
+     * @returns {Promise<Object>} Separations keyed by teacher ID
+     */
+    async getSeparations() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('teachers').orderByChild('status').equalTo(StaffLifecycle.SEPARATED_STATUS).once('value');
+            const separations = {};
+            snapshot.forEach(childSnapshot => {
+                const teacher = childSnapshot.val();
+                if (teacher && teacher.separation) separations[childSnapshot.key] = teacher.separation;
+            });
+            return separations;
+        } catch (error) {
+            console.error('Error loading separations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every run a teacher appears in, including runs not yet published, for the
+     * office's view of their slip history
+     * @param {string} teacherId - Teacher ID
+     * @returns {Promise<Array>} Paysheet records with run details and runStatus, newest first
+     */
+    async getTeacherSlipHistory(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`teacherSlips/${teacherId}`).once('value');
+            const runs = snapshot.val() || {};
+
+            const slips = await Promise.all(Object.keys(runs).map(async paysheetKey => {
+                const [statusSnapshot, recordSnapshot] = await Promise.all([
+                    this.db.ref(`paysheets/${paysheetKey}/status`).once('value'),
+                    this.db.ref(`paysheets/${paysheetKey}/records/${teacherId}`).once('value')
+                ]);
+                if (!recordSnapshot.exists()) return null;
+
+                return {
+                    ...recordSnapshot.val(),
+                    ...runs[paysheetKey],
+                    id: `${teacherId}_${paysheetKey}`,
+                    teacherId,
+                    paysheetId: paysheetKey,
+                    runStatus: PayRun.getStatus({ status: statusSnapshot.val() })
+                };
+            }));
+
+            return slips.filter(Boolean).sort(PayRun.compare);
+        } catch (error) {
+            console.error('Error getting teacher slip history:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get all teachers with real-time listener
      */
@@ -137,6 +404,37 @@ class FirebaseDB {
         }
     }
 
+    /**
+     * Approve a self-registered teacher. The sign-in entries are written here rather
+     * than at registration, so an account cannot claim a teacher ID on its own.
+     * @param {string} teacherId - Teacher ID
+     * @param {string} approvedBy - Admin email
+     */
+    async approveTeacher(teacherId, approvedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const teacher = await this.getTeacher(teacherId);
+            if (!teacher) throw new Error(`Teacher ${teacherId} not found`);
+
+            const updates = {
+                [`teachers/${teacherId}/status`]: 'Active',
+                [`teachers/${teacherId}/approvedBy`]: approvedBy || 'Admin',
+                [`teachers/${teacherId}/approvalDate`]: new Date().toISOString(),
+                [`teacherIds/${teacherId}`]: true
+            };
+            if (teacher.email) updates[`teacherLogins/${teacherId}`] = { email: teacher.email.toLowerCase() };
+            if (teacher.uid) updates[`teacherUids/${teacher.uid}`] = teacherId;
+
+            await this.db.ref().update(updates);
+            console.log(`✅ Teacher approved: ${teacherId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error approving teacher:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add salary slip with real-time updates
      */
@@ -275,79 +573,1331 @@ class FirebaseDB {
     }
 
     /**
-     * Import paysheet data with batch operations
+     * Save a named column-mapping template for paysheet imports
+     * @param {string} name - Template name shown to admins
+     * @param {Object} mapping - Map of paysheet field to sheet header text
+     * @param {string} savedBy - Admin who saved the template
      */
-    async importPaysheetData(csvData, month, year) {
+    async saveImportTemplate(name, mapping, savedBy) {
         if (!this.initialized) throw new Error('Firebase DB not initialized');
 
         try {
-            const processedData = [];
-            const batch = {};
+            // Firebase keys cannot contain . # $ [ ] /
+            const templateId = name.trim().replace(/[.#$\[\]\/]/g, '_');
+            if (!templateId) throw new Error('Template name is required');
 
-            // Process CSV data
-            for (let i = 1; i < csvData.length; i++) {
-                const row = csvData[i];
-                if (row.length < 10) continue;
+            await this.db.ref(`importTemplates/${templateId}`).set({
+                id: templateId,
+                name: name.trim(),
+                mapping: mapping,
+                savedBy: savedBy || '',
+                updatedAt: firebase.database.ServerValue.TIMESTAMP
+            });
 
-                const record = {
-                    teacherId: row[0] || '',
-                    teacherName: row[1] || '',
-                    designation: row[2] || '',
-                    department: row[3] || '',
-                    basicSalary: parseFloat(row[4]) || 0,
-                    hra: parseFloat(row[5]) || 0,
-                    da: parseFloat(row[6]) || 0,
-                    allowances: parseFloat(row[7]) || 0,
-                    grossSalary: parseFloat(row[8]) || 0,
-                    pf: parseFloat(row[9]) || 0,
-                    esi: parseFloat(row[10]) || 0,
-                    tax: parseFloat(row[11]) || 0,
-                    otherDeductions: parseFloat(row[12]) || 0,
-                    totalDeductions: parseFloat(row[13]) || 0,
-                    netPay: parseFloat(row[14]) || 0,
-                    payDate: row[15] || new Date().toISOString().split('T')[0],
-                    status: row[16] || 'Paid',
-                    month: month,
-                    year: year,
-                    monthNum: this.getMonthNumber(month),
-                    id: `${row[0]}_${month}_${year}`,
-                    createdAt: firebase.database.ServerValue.TIMESTAMP
-                };
+            console.log(`✅ Import template saved: ${templateId}`);
+            return { success: true, id: templateId };
+        } catch (error) {
+            console.error('Error saving import template:', error);
+            throw error;
+        }
+    }
 
-                processedData.push(record);
+    /**
+     * Get saved column-mapping templates, most recently saved first
+     */
+    async getImportTemplates() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
 
-                // Add to batch for salary slips
-                batch[`salarySlips/${record.id}`] = record;
-            }
+        try {
+            const snapshot = await this.db.ref('importTemplates').once('value');
+            const templates = Object.values(snapshot.val() || {});
+            return templates.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        } catch (error) {
+            console.error('Error loading import templates:', error);
+            throw error;
+        }
+    }
 
-            // Create paysheet
-            const paysheetId = `${month}_${year}`;
-            const summary = {
-                totalTeachers: processedData.length,
-                totalGross: processedData.reduce((sum, record) => sum + record.grossSalary, 0),
-                totalDeductions: processedData.reduce((sum, record) => sum + record.totalDeductions, 0),
-                totalNet: processedData.reduce((sum, record) => sum + record.netPay, 0)
-            };
+    /**
+     * Get payroll rates (payrollConfig/rates), or null when never configured
+     */
+    async getPayrollRates() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
 
-            batch[`paysheets/${paysheetId}`] = {
-                id: paysheetId,
-                month: month,
-                year: year,
-                records: processedData.reduce((acc, record) => {
-                    acc[record.teacherId] = record;
-                    return acc;
-                }, {}),
-                summary: summary,
-                createdAt: firebase.database.ServerValue.TIMESTAMP
-            };
+        try {
+            const snapshot = await this.db.ref('payrollConfig/rates').once('value');
+            return snapshot.exists() ? snapshot.val() : null;
+        } catch (error) {
+            console.error('Error loading payroll rates:', error);
+            throw error;
+        }
+    }
 
-            // Execute batch update
-            await this.db.ref().update(batch);
-            
-            console.log(`✅ Imported ${processedData.length} paysheet records for ${month} ${year}`);
-            return processedData;
+    /**
+     * Save payroll rates used by the payroll engine
+     * @param {Object} rates - See PayrollEngine.DEFAULT_RATES
+     * @param {string} updatedBy - Admin email
+     */
+    async savePayrollRates(rates, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref('payrollConfig/rates').set({
+                ...rates,
+                updatedBy: updatedBy || null,
+                updatedAt: new Date().toISOString()
+            });
+            console.log('✅ Payroll rates saved');
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving payroll rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get bank file settings (payrollConfig/bankFile), or null when never configured
+     */
+    async getBankFileSettings() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('payrollConfig/bankFile').once('value');
+            return snapshot.exists() ? snapshot.val() : null;
+        } catch (error) {
+            console.error('Error loading bank file settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the bank file layout, debit account and narration
+     * @param {Object} settings - See BankDisbursement.DEFAULT_SETTINGS
+     * @param {string} updatedBy - Admin email
+     */
+    async saveBankFileSettings(settings, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref('payrollConfig/bankFile').set({
+                layout: settings.layout,
+                debitAccount: settings.debitAccount || '',
+                narration: settings.narration || '',
+                updatedBy: updatedBy || null,
+                updatedAt: new Date().toISOString()
+            });
+            console.log('✅ Bank file settings saved');
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving bank file settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a teacher's salary account
+     * @param {string} teacherId - Teacher ID
+     * @param {Object} bank - {accountHolderName, accountNumber, ifsc}, already validated
+     * @param {string} updatedBy - Admin email
+     */
+    async saveBankDetails(teacherId, bank, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`teachers/${teacherId}/bank`).set({
+                accountHolderName: bank.accountHolderName,
+                accountNumber: bank.accountNumber,
+                ifsc: bank.ifsc,
+                updatedBy: updatedBy || null,
+                updatedAt: new Date().toISOString()
+            });
+            console.log(`✅ Bank details saved: ${teacherId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving bank details:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all teacher pay masters keyed by teacher ID
+     */
+    async getPayMasters() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('payMasters').once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error loading pay masters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update teacher pay masters in one update
+     * @param {Object} masters - Pay masters keyed by teacher ID
+     */
+    async savePayMasters(masters) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const updates = {};
+            Object.keys(masters).forEach(teacherId => {
+                updates[`payMasters/${teacherId}`] = { ...masters[teacherId], updatedAt: new Date().toISOString() };
+            });
+            await this.db.ref().update(updates);
+            console.log(`✅ Saved ${Object.keys(masters).length} pay masters`);
+            return { success: true, count: Object.keys(masters).length };
+        } catch (error) {
+            console.error('Error saving pay masters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the monthly income tax (TDS) on teachers' pay masters, so the next
+     * computed pay run deducts it
+     * @param {Object} amounts - Monthly TDS keyed by teacher ID
+     * @param {string} updatedBy - Admin email
+     */
+    async setMonthlyTds(amounts, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const updates = {};
+            Object.keys(amounts).forEach(teacherId => {
+                updates[`payMasters/${teacherId}/incomeTax`] = amounts[teacherId];
+                updates[`payMasters/${teacherId}/tdsUpdatedBy`] = updatedBy || null;
+                updates[`payMasters/${teacherId}/updatedAt`] = new Date().toISOString();
+            });
+            await this.db.ref().update(updates);
+            console.log(`✅ Monthly TDS set for ${Object.keys(amounts).length} teachers`);
+            return { success: true, count: Object.keys(amounts).length };
+        } catch (error) {
+            console.error('Error setting monthly TDS:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a teacher's investment declaration for a financial year
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @returns {Promise<Object|null>}
+     */
+    async getTaxDeclaration(teacherId, startYear) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`taxDeclarations/${startYear}/${teacherId}`).once('value');
+            return snapshot.val();
+        } catch (error) {
+            console.error('Error loading tax declaration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every teacher's declaration for a financial year
+     * @param {number} startYear - First calendar year of the financial year
+     * @returns {Promise<Object>} Declarations keyed by teacher ID
+     */
+    async getTaxDeclarations(startYear) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`taxDeclarations/${startYear}`).once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error loading tax declarations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a teacher's investment declaration for a financial year
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {Object} declaration - See IncomeTax.DECLARATION_FIELDS
+     */
+    async saveTaxDeclaration(teacherId, startYear, declaration) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const fields = {};
+            Object.keys(IncomeTax.DECLARATION_FIELDS).forEach(field => {
+                fields[field] = typeof IncomeTax.DECLARATION_FIELDS[field] === 'number'
+                    ? Number(declaration[field]) || 0
+                    : declaration[field];
+            });
+            fields.parentsSenior = !!fields.parentsSenior;
+            fields.metroCity = !!fields.metroCity;
+
+            await this.db.ref(`taxDeclarations/${startYear}/${teacherId}`).set({
+                ...fields,
+                updatedAt: new Date().toISOString()
+            });
+            console.log(`✅ Tax declaration saved for ${teacherId} (FY ${startYear})`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving tax declaration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a teacher's investment items for a financial year
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @returns {Promise<Array>} Items with their id, oldest first
+     */
+    async getInvestmentItems(teacherId, startYear) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`investmentDeclarations/${startYear}/${teacherId}`).once('value');
+            const items = snapshot.val() || {};
+            return Object.keys(items)
+                .map(id => ({ ...items[id], id }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        } catch (error) {
+            console.error('Error loading investment items:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get every teacher's investment items for a financial year
+     * @param {number} startYear - First calendar year of the financial year
+     * @returns {Promise<Object>} Items keyed by teacher ID, then item ID
+     */
+    async getAllInvestmentItems(startYear) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`investmentDeclarations/${startYear}`).once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error loading investment declarations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Declare a planned investment
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {Object} item - From InvestmentDeclaration.create
+     */
+    async addInvestmentItem(teacherId, startYear, item) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const itemRef = this.db.ref(`investmentDeclarations/${startYear}/${teacherId}`).push();
+            await itemRef.set(item);
+            console.log(`✅ Investment item declared for ${teacherId}`);
+            return { success: true, id: itemRef.key };
+        } catch (error) {
+            console.error('Error declaring investment item:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an item that has no proof yet
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {string} itemId - Item ID
+     */
+    async removeInvestmentItem(teacherId, startYear, itemId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`investmentDeclarations/${startYear}/${teacherId}/${itemId}`).remove();
+            console.log(`✅ Investment item ${itemId} removed`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error removing investment item:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload the proof of an item and send it for review
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {string} itemId - Item ID
+     * @param {Object} proof - From InvestmentDeclaration.readProof
+     */
+    async submitInvestmentProof(teacherId, startYear, itemId, proof) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const uploadedAt = new Date().toISOString();
+            const itemPath = `investmentDeclarations/${startYear}/${teacherId}/${itemId}`;
+            // The file is written first; the item only points at it once it is there
+            await this.db.ref(`investmentProofs/${startYear}/${teacherId}/${itemId}`).set({ ...proof, uploadedAt });
+            await this.db.ref().update({
+                [`${itemPath}/proof`]: {
+                    fileName: proof.fileName,
+                    contentType: proof.contentType,
+                    size: proof.size,
+                    uploadedAt
+                },
+                [`${itemPath}/status`]: 'Submitted'
+            });
+            console.log(`✅ Proof submitted for investment item ${itemId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error submitting investment proof:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the proof file of an item
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {string} itemId - Item ID
+     * @returns {Promise<Object|null>} {fileName, contentType, size, dataUrl, uploadedAt}
+     */
+    async getInvestmentProof(teacherId, startYear, itemId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`investmentProofs/${startYear}/${teacherId}/${itemId}`).once('value');
+            return snapshot.val();
+        } catch (error) {
+            console.error('Error loading investment proof:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Accept or reject a submitted item
+     * @param {string} teacherId - Teacher ID
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {string} itemId - Item ID
+     * @param {Object} review - {status: 'Accepted'|'Rejected', acceptedAmount, comment}
+     * @param {string} reviewedBy - Admin email
+     */
+    async reviewInvestmentItem(teacherId, startYear, itemId, review, reviewedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const itemPath = `investmentDeclarations/${startYear}/${teacherId}/${itemId}`;
+            await this.db.ref().update({
+                [`${itemPath}/status`]: review.status,
+                [`${itemPath}/acceptedAmount`]: review.status === 'Accepted' ? review.acceptedAmount : null,
+                [`${itemPath}/reviewComment`]: review.comment || null,
+                [`${itemPath}/reviewedBy`]: reviewedBy || 'unknown',
+                [`${itemPath}/reviewedAt`]: new Date().toISOString()
+            });
+            console.log(`✅ Investment item ${itemId} ${review.status.toLowerCase()}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error reviewing investment item:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a month's supplementary runs (arrears, bonus, corrections)
+     * @param {string} month - Month name
+     * @param {string} year - Year
+     * @returns {Object} Paysheets keyed by paysheet key
+     */
+    async getSupplementaryRuns(month, year) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const prefix = `${month}_${year}_`;
+            const snapshot = await this.db.ref('paysheets')
+                .orderByKey()
+                .startAt(prefix)
+                .endAt(`${prefix}\uf8ff`)
+                .once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error loading supplementary runs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the pay head catalog, including inactive heads
+     * @returns {Array|null} Heads, or null when the catalog has not been set up
+     */
+    async getPayHeads() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('payHeads').once('value');
+            const heads = snapshot.val();
+            return heads ? Object.values(heads) : null;
+        } catch (error) {
+            console.error('Error loading pay heads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a pay head
+     * @param {Object} head - {id, name, type, taxable, order, aliases, active}
+     * @param {string} updatedBy - Admin email
+     */
+    async savePayHead(head, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`payHeads/${head.id}`).set({
+                ...head,
+                updatedBy: updatedBy || 'unknown',
+                updatedAt: new Date().toISOString()
+            });
+            console.log('✅ Pay head saved:', head.id);
+            return { success: true, id: head.id };
+        } catch (error) {
+            console.error('Error saving pay head:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the built-in pay heads as the starting catalog
+     * @param {Array} heads - Head definitions (PayHeads.DEFAULTS)
+     * @param {string} updatedBy - Admin email
+     */
+    async seedPayHeads(heads, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const updates = {};
+            const now = new Date().toISOString();
+            heads.forEach(head => {
+                updates[`payHeads/${head.id}`] = { ...head, active: true, updatedBy: updatedBy || 'unknown', updatedAt: now };
+            });
+            await this.db.ref().update(updates);
+            return { success: true, count: heads.length };
+        } catch (error) {
+            console.error('Error seeding pay heads:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run details stored against each teacher in teacherSlips/{teacherId}/{paysheetKey}
+     * @param {Object} paysheet - Paysheet node
+     */
+    getTeacherSlipEntry(paysheet) {
+        return {
+            month: paysheet.month || '',
+            year: paysheet.year || '',
+            monthNum: paysheet.monthNum || '',
+            runType: PayRun.getRunType(paysheet),
+            sequence: paysheet.sequence || null
+        };
+    }
+
+    /**
+     * Published slips of one teacher. Reads only that teacher's index, the status
+     * of each run and their own record, which is all the rules let a teacher read.
+     * @param {string} teacherId - Teacher ID
+     * @returns {Promise<Array>} Paysheet records with run details and the run's
+     *   status as runStatus, newest first
+     */
+    async getTeacherSlips(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`teacherSlips/${teacherId}`).once('value');
+            const runs = snapshot.val() || {};
+
+            const slips = await Promise.all(Object.keys(runs).map(async paysheetKey => {
+                const statusSnapshot = await this.db.ref(`paysheets/${paysheetKey}/status`).once('value');
+                if (!PayRun.isVisibleToTeachers({ status: statusSnapshot.val() })) return null;
+
+                const recordSnapshot = await this.db.ref(`paysheets/${paysheetKey}/records/${teacherId}`).once('value');
+                if (!recordSnapshot.exists()) return null;
+
+                return {
+                    ...recordSnapshot.val(),
+                    ...runs[paysheetKey],
+                    id: `${teacherId}_${paysheetKey}`,
+                    teacherId,
+                    paysheetId: paysheetKey,
+                    runStatus: PayRun.getStatus({ status: statusSnapshot.val() })
+                };
+            }));
+
+            return slips.filter(Boolean).sort(PayRun.compare);
+        } catch (error) {
+            console.error('Error getting teacher slips:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Published slips of all teachers for a financial year, for annual statements
+     * @param {number} startYear - First calendar year of the financial year (April to March)
+     * @returns {Promise<Array>} Salary slips of runs that are published or locked
+     */
+    async getFinancialYearSlips(startYear) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('salarySlips').once('value');
+            const slips = Object.values(snapshot.val() || {})
+                .filter(slip => slip && slip.teacherId && AnnualStatement.getFinancialYear(slip) === startYear);
+
+            // Drafts and reopened runs are left out, as they are for teachers
+            const visible = {};
+            await Promise.all(Array.from(new Set(slips.map(slip => slip.paysheetId).filter(Boolean))).map(async paysheetKey => {
+                const statusSnapshot = await this.db.ref(`paysheets/${paysheetKey}/status`).once('value');
+                visible[paysheetKey] = PayRun.isVisibleToTeachers({ status: statusSnapshot.val() });
+            }));
+
+            return slips.filter(slip => !slip.paysheetId || visible[slip.paysheetId]);
+        } catch (error) {
+            console.error('Error getting financial year slips:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Email a teacher signs in with, looked up by teacher ID
+     * @param {string} teacherId - Teacher ID
+     * @returns {Promise<string|null>}
+     */
+    async getTeacherLoginEmail(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`teacherLogins/${teacherId}/email`).once('value');
+            return snapshot.val();
+        } catch (error) {
+            console.error('Error getting teacher login:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Teacher ID linked to a Firebase Auth account
+     * @param {string} uid - Firebase Auth UID
+     * @returns {Promise<string|null>}
+     */
+    async getTeacherIdForUser(uid) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`teacherUids/${uid}`).once('value');
+            return snapshot.val();
+        } catch (error) {
+            console.error('Error getting teacher account link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link a signed-in account to its teacher ID. The rules only allow this when
+     * the account's email is the one recorded for that teacher ID.
+     * @param {string} uid - Firebase Auth UID
+     * @param {string} teacherId - Teacher ID
+     */
+    async linkTeacherAccount(uid, teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`teacherUids/${uid}`).set(teacherId);
+            console.log(`✅ Account linked to teacher ${teacherId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error linking teacher account:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Teacher ID scheme and the next number to issue (employeeNumbers)
+     * @returns {Promise<Object>} {scheme, next}; the default scheme when never configured
+     */
+    async getEmployeeNumberScheme() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('employeeNumbers').once('value');
+            const data = snapshot.val() || {};
+            return {
+                scheme: EmployeeNumbers.normalizeScheme(data.scheme),
+                next: Number(data.next) || 1
+            };
+        } catch (error) {
+            console.error('Error loading teacher ID scheme:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save the teacher ID scheme and reset the counter
+     * @param {Object} scheme - {prefix, digits}, already validated
+     * @param {number} next - Next number to issue
+     * @param {string} updatedBy - Admin email
+     */
+    async saveEmployeeNumberScheme(scheme, next, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref('employeeNumbers').update({
+                scheme: {
+                    ...EmployeeNumbers.normalizeScheme(scheme),
+                    updatedBy: updatedBy || null,
+                    updatedAt: new Date().toISOString()
+                },
+                next: Number(next)
+            });
+            console.log('✅ Teacher ID scheme saved');
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving teacher ID scheme:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a teacher ID belongs to a teacher or appears in an imported paysheet.
+     * teacherIds/{id} records both; teachers/{id} is checked as well for data saved
+     * before that index was rebuilt, when the caller may read it.
+     * @param {string} teacherId - Teacher ID
+     */
+    async isTeacherIdInUse(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        const [indexed, loginEmail] = await Promise.all([
+            this.db.ref(`teacherIds/${teacherId}`).once('value'),
+            this.getTeacherLoginEmail(teacherId)
+        ]);
+        if (indexed.exists() || loginEmail) return true;
+
+        try {
+            return (await this.db.ref(`teachers/${teacherId}`).once('value')).exists();
+        } catch (error) {
+            // Teachers may read only their own record; the rules refuse a registration
+            // on an existing record anyway
+            if (error.code === 'PERMISSION_DENIED') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Issue the next teacher ID. The number is taken from employeeNumbers/next in
+     * a transaction, so concurrent callers get different numbers; numbers whose ID
+     * is already in use (added by hand or from a sheet) are skipped.
+     * @param {Set} reserved - IDs known to be taken; the issued ID is added to it
+     * @returns {Promise<string>} Teacher ID
+     */
+    async allocateTeacherId(reserved = new Set()) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const { scheme } = await this.getEmployeeNumberScheme();
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const result = await this.db.ref('employeeNumbers/next').transaction(current => (Number(current) || 1) + 1);
+                if (!result.committed) throw new Error('Could not reserve a teacher ID');
+
+                const teacherId = EmployeeNumbers.format(scheme, result.snapshot.val() - 1);
+                if (reserved.has(teacherId) || await this.isTeacherIdInUse(teacherId)) {
+                    console.warn(`⚠️ Teacher ID ${teacherId} is already in use, skipping`);
+                    continue;
+                }
+                reserved.add(teacherId);
+                console.log(`✅ Teacher ID ${teacherId} issued`);
+                return teacherId;
+            }
+            throw new Error('Too many teacher IDs in a row are already in use; set the next number in the teacher ID scheme');
+        } catch (error) {
+            console.error('Error issuing teacher ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Links from paysheet teacher IDs to registered teachers (teacherIdAliases)
+     * @returns {Promise<Object>} Keyed by the ID as written in the sheet
+     */
+    async getTeacherIdAliases() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('teacherIdAliases').once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error loading teacher ID links:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link a paysheet teacher ID to a registered teacher; later imports file that
+     * row's slips under the teacher
+     * @param {string} sheetId - Teacher ID as written in the sheet
+     * @param {string} teacherId - Registered teacher ID
+     * @param {string} linkedBy - Admin email
+     */
+    async saveTeacherIdAlias(sheetId, teacherId, linkedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+        if (!sheetId || /[.#$\[\]\/]/.test(sheetId)) {
+            throw new Error(`Sheet ID "${sheetId}" cannot be linked; fix it in the sheet`);
+        }
+
+        try {
+            await this.db.ref(`teacherIdAliases/${sheetId}`).set({
+                teacherId,
+                linkedBy: linkedBy || null,
+                linkedAt: new Date().toISOString()
+            });
+            console.log(`✅ Sheet ID ${sheetId} linked to teacher ${teacherId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error linking teacher ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the link of a paysheet teacher ID
+     * @param {string} sheetId - Teacher ID as written in the sheet
+     */
+    async removeTeacherIdAlias(sheetId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`teacherIdAliases/${sheetId}`).remove();
+            console.log(`✅ Link of sheet ID ${sheetId} removed`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error removing teacher ID link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rebuild teacherLogins, teacherUids, teacherSlips and teacherIds from the
+     * teachers and paysheets nodes, and the public slipVerifications of current
+     * slips, for data written before the index existed. Slips whose code was
+     * revoked before slipVerifications existed get no entry, so the code stays invalid.
+     * @returns {Promise<Object>} {success, teachers, slips}
+     */
+    async rebuildTeacherIndex() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const [teachersSnapshot, paysheetsSnapshot, slipsSnapshot] = await Promise.all([
+                this.db.ref('teachers').once('value'),
+                this.db.ref('paysheets').once('value'),
+                this.db.ref('salarySlips').once('value')
+            ]);
+            const teachers = teachersSnapshot.val() || {};
+            const paysheets = paysheetsSnapshot.val() || {};
+            const salarySlips = slipsSnapshot.val() || {};
+
+            const logins = {};
+            const uids = {};
+            const ids = {};
+            Object.keys(teachers).forEach(teacherId => {
+                ids[teacherId] = true;
+                const teacher = teachers[teacherId];
+                if (!teacher || !teacher.email) return;
+                logins[teacherId] = { email: teacher.email.toLowerCase() };
+                if (teacher.uid) uids[teacher.uid] = teacherId;
+            });
+
+            const slips = {};
+            let slipCount = 0;
+            Object.keys(paysheets).forEach(paysheetKey => {
+                const paysheet = paysheets[paysheetKey];
+                const entry = this.getTeacherSlipEntry(paysheet);
+                Object.keys(paysheet.records || {}).forEach(teacherId => {
+                    ids[teacherId] = true;
+                    slips[teacherId] = { ...(slips[teacherId] || {}), [paysheetKey]: entry };
+                    slipCount++;
+                });
+            });
+
+            // Links made at sign-in are kept; the rest is derived data and replaced
+            const existingUids = (await this.db.ref('teacherUids').once('value')).val() || {};
+            const updates = {
+                teacherLogins: logins,
+                teacherUids: { ...existingUids, ...uids },
+                teacherSlips: slips,
+                teacherIds: ids
+            };
+            Object.values(salarySlips).forEach(slip => {
+                if (slip && slip.verificationCode && slip.paysheetId && !slip.verificationRevoked) {
+                    this.addSlipVerification(updates, slip.verificationCode, slip, slip.paysheetId);
+                }
+            });
+            await this.db.ref().update(updates);
+
+            console.log(`✅ Teacher index rebuilt: ${Object.keys(logins).length} logins, ${slipCount} slips`);
+            return { success: true, teachers: Object.keys(logins).length, slips: slipCount };
+        } catch (error) {
+            console.error('Error rebuilding teacher index:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a teacher's request for certified slips
+     * @param {Object} request - New request (PayslipRequest.create)
+     */
+    async createPayslipRequest(request) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const requestId = this.generateId();
+            await this.db.ref(`payslipRequests/${requestId}`).set({ ...request, id: requestId });
+            console.log(`✅ Payslip request created: ${requestId}`);
+            return { success: true, id: requestId };
+        } catch (error) {
+            console.error('Error creating payslip request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Payslip requests of one teacher, newest first
+     * @param {string} teacherId - Teacher ID
+     */
+    async getTeacherPayslipRequests(teacherId) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('payslipRequests')
+                .orderByChild('teacherId')
+                .equalTo(teacherId)
+                .once('value');
+            const requests = snapshot.val() || {};
+            return Object.keys(requests)
+                .map(id => ({ ...requests[id], id }))
+                .sort((a, b) => (b.requestDate || '').localeCompare(a.requestDate || ''));
+        } catch (error) {
+            console.error('Error getting payslip requests:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Approve a payslip request for the pay runs it covers
+     * @param {string} requestId - Request ID
+     * @param {Array} paysheetKeys - Published runs included in the certified copy
+     * @param {string} approvedBy - Admin email
+     */
+    async approvePayslipRequest(requestId, paysheetKeys, approvedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const paysheets = {};
+            paysheetKeys.forEach(key => { paysheets[key] = true; });
+            await this.db.ref(`payslipRequests/${requestId}`).update({
+                status: 'Approved',
+                paysheetKeys: paysheets,
+                approvedBy: approvedBy || 'unknown',
+                approvalDate: new Date().toISOString()
+            });
+            console.log(`✅ Payslip request ${requestId} approved`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error approving payslip request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a payslip request
+     * @param {string} requestId - Request ID
+     * @param {string} reason - Shown to the teacher
+     * @param {string} rejectedBy - Admin email
+     */
+    async rejectPayslipRequest(requestId, reason, rejectedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`payslipRequests/${requestId}`).update({
+                status: 'Rejected',
+                rejectionReason: reason,
+                rejectedBy: rejectedBy || 'unknown',
+                rejectionDate: new Date().toISOString()
+            });
+            console.log(`❌ Payslip request ${requestId} rejected`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error rejecting payslip request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the slip issued with a verification code. Works without signing in;
+     * only the public details in slipVerifications/{code} are read.
+     * @param {string} code - Formatted code (SlipVerification.normalize)
+     * @returns {Promise<Object|null>} {teacherName, month, year, netPay, paysheetId,
+     *   revoked, replacedAt, code}
+     */
+    async findSlipByVerificationCode(code) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`slipVerifications/${code}`).once('value');
+            return snapshot.exists() ? { ...snapshot.val(), code } : null;
+        } catch (error) {
+            console.error('Error looking up verification code:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Multi-path update entries that publish a slip's verification details, one
+     * field at a time so a revocation already recorded for the code is kept
+     * @param {Object} updates - Multi-path update to add to
+     * @param {string} code - Verification code
+     * @param {Object} slip - Slip the code was issued with
+     * @param {string} paysheetId - Key of the slip's paysheet
+     * @param {Object|null} replacedAt - When the slip was replaced; null while it is current
+     */
+    addSlipVerification(updates, code, slip, paysheetId, replacedAt = null) {
+        const verification = { ...SlipVerification.toVerification(slip, paysheetId), replacedAt };
+        Object.keys(verification).forEach(field => {
+            updates[`slipVerifications/${code}/${field}`] = verification[field];
+        });
+    }
+
+    /**
+     * Revoke a slip's verification code, e.g. when the slip was issued in error
+     * @param {string} code - Verification code
+     * @param {string} reason - Shown on the verification page
+     * @param {string} revokedBy - Admin email
+     */
+    async revokeSlipVerification(code, reason, revokedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`slipVerifications/${code}/revoked`).set({
+                reason,
+                revokedBy: revokedBy || 'unknown',
+                revokedAt: new Date().toISOString()
+            });
+            console.log(`✅ Verification code ${code} revoked`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error revoking slip verification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get admin accounts keyed by Firebase Auth UID
+     */
+    async getAdmins() {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref('admins').once('value');
+            return snapshot.val() || {};
+        } catch (error) {
+            console.error('Error getting admins:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update an admin account and its role
+     * @param {string} uid - Firebase Auth UID
+     * @param {Object} admin - {email, name, role, status}
+     * @param {string} updatedBy - Admin email
+     */
+    async saveAdmin(uid, admin, updatedBy) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            await this.db.ref(`admins/${uid}`).set({
+                ...admin,
+                updatedBy: updatedBy || 'unknown',
+                updatedAt: new Date().toISOString()
+            });
+            console.log('✅ Admin saved:', uid);
+            return { success: true, uid };
+        } catch (error) {
+            console.error('Error saving admin:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single paysheet by key (e.g. July_2025)
+     */
+    async getPaysheet(paysheetKey) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const snapshot = await this.db.ref(`paysheets/${paysheetKey}`).once('value');
+            return snapshot.exists() ? snapshot.val() : null;
+        } catch (error) {
+            console.error('Error getting paysheet:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write an imported paysheet and its salary slips in a single multi-path update,
+     * so a dropped connection never leaves a half-imported month. The paysheet and
+     * slips it replaces are kept under imports/{importId} for undoLastPaysheetImport.
+     * @param {string} paysheetKey - Paysheet key (e.g. July_2025)
+     * @param {Object} paysheetData - Paysheet node with records keyed by teacher ID
+     * @param {Object} options - {mode: 'replace' | 'merge', importedBy, canSendBack}; canSendBack
+     *   allows importing over a verified or approved run (see PayRun.canImport)
+     * @returns {Promise<Object>} {success, importId, recordCount, removedCount}
+     */
+    async commitPaysheetImport(paysheetKey, paysheetData, options = {}) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const mode = options.mode === 'merge' ? 'merge' : 'replace';
+            const previous = await this.getPaysheet(paysheetKey);
+            if (!PayRun.canImport(previous, options.canSendBack)) {
+                throw new Error(PayRun.importBlockedReason(previous));
+            }
+            const previousRecords = (previous && previous.records) || {};
+
+            const slipId = teacherId => `${teacherId}_${paysheetKey}`;
+
+            // Slips of a supplementary run carry the run so they are listed and titled apart from the month's salary
+            const runFields = PayRun.isSupplementary(paysheetData) ? {
+                runType: paysheetData.runType,
+                sequence: paysheetData.sequence,
+                baseRunId: paysheetData.baseRunId,
+                description: paysheetData.description || ''
+            } : {};
+            // A slip imported again unchanged keeps its verification code; a changed
+            // slip gets a new one and the code it replaces stops verifying
+            const incoming = {};
+            Object.keys(paysheetData.records).forEach(teacherId => {
+                const record = {
+                    ...paysheetData.records[teacherId],
+                    id: slipId(teacherId),
+                    ...runFields
+                };
+                const replaced = previousRecords[teacherId];
+                record.verificationCode = replaced && replaced.verificationCode && SlipVerification.isUnchanged(replaced, record)
+                    ? replaced.verificationCode
+                    : SlipVerification.generate();
+                incoming[teacherId] = record;
+            });
+
+            // Merge keeps teachers missing from the file; replace drops them and their slips
+            const records = mode === 'merge'
+                ? { ...previousRecords, ...incoming }
+                : incoming;
+            const importedIds = Object.keys(incoming);
+            const removedIds = Object.keys(previousRecords).filter(teacherId => !records[teacherId]);
+
+            const touchedSlips = {};
+            [...importedIds, ...removedIds].forEach(teacherId => { touchedSlips[slipId(teacherId)] = true; });
+
+            // Snapshot the slips this import overwrites
+            const previousSlips = {};
+            await Promise.all(Object.keys(touchedSlips).map(async id => {
+                const snapshot = await this.db.ref(`salarySlips/${id}`).once('value');
+                if (snapshot.exists()) previousSlips[id] = snapshot.val();
+            }));
+
+            const importId = this.generateId();
+            const recordList = Object.values(records);
+            const batch = {};
+
+            batch[`paysheets/${paysheetKey}`] = {
+                ...paysheetData,
+                records,
+                summary: {
+                    totalRecords: recordList.length,
+                    totalGross: recordList.reduce((sum, record) => sum + (record.grossSalary || 0), 0),
+                    totalDeductions: recordList.reduce((sum, record) => sum + (record.totalDeductions || 0), 0),
+                    totalNet: recordList.reduce((sum, record) => sum + (record.netPay || 0), 0)
+                },
+                importId,
+                // Every import starts a new draft that has to be verified again
+                status: 'draft',
+                statusUpdatedAt: new Date().toISOString(),
+                statusUpdatedBy: options.importedBy || null,
+                statusHistory: {
+                    ...((previous && previous.statusHistory) || {}),
+                    [this.generateId()]: {
+                        from: previous ? PayRun.getStatus(previous) : null,
+                        to: 'draft',
+                        action: 'import',
+                        by: options.importedBy || 'unknown',
+                        at: new Date().toISOString(),
+                        reason: `Import ${importId} (${mode})`
+                    }
+                }
+            };
+
+            importedIds.forEach(teacherId => {
+                batch[`salarySlips/${slipId(teacherId)}`] = {
+                    ...records[teacherId],
+                    paysheetId: paysheetKey,
+                    importId
+                };
+                this.addSlipVerification(batch, records[teacherId].verificationCode, records[teacherId], paysheetKey);
+            });
+            // Codes of the slips this import changes or removes stop verifying
+            [...importedIds, ...removedIds].forEach(teacherId => {
+                const replaced = previousRecords[teacherId];
+                if (replaced && replaced.verificationCode && !(records[teacherId] &&
+                    records[teacherId].verificationCode === replaced.verificationCode)) {
+                    this.addSlipVerification(batch, replaced.verificationCode, replaced, paysheetKey,
+                        firebase.database.ServerValue.TIMESTAMP);
+                }
+            });
+            removedIds.forEach(teacherId => {
+                batch[`salarySlips/${slipId(teacherId)}`] = null;
+            });
+
+            // Teachers find their slips through teacherSlips/{teacherId}
+            const indexEntry = this.getTeacherSlipEntry(paysheetData);
+            importedIds.forEach(teacherId => {
+                batch[`teacherSlips/${teacherId}/${paysheetKey}`] = indexEntry;
+                batch[`teacherIds/${teacherId}`] = true;
+            });
+            removedIds.forEach(teacherId => {
+                batch[`teacherSlips/${teacherId}/${paysheetKey}`] = null;
+            });
+
+            batch[`imports/${importId}`] = {
+                id: importId,
+                paysheetKey,
+                mode,
+                importedBy: options.importedBy || null,
+                importedAt: firebase.database.ServerValue.TIMESTAMP,
+                recordCount: importedIds.length,
+                removedCount: removedIds.length,
+                previousPaysheet: previous,
+                previousSlips,
+                touchedSlips
+            };
+
+            await this.db.ref().update(batch);
+
+            console.log(`✅ Import ${importId}: ${importedIds.length} records written to ${paysheetKey} (${mode})`);
+            return { success: true, importId, recordCount: importedIds.length, removedCount: removedIds.length };
+        } catch (error) {
+            console.error('Error committing paysheet import:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a pay run to its next lifecycle state and record who did it and when
+     * @param {string} paysheetKey - Paysheet key (e.g. July_2025)
+     * @param {string} action - Key of PayRun.TRANSITIONS
+     * @param {string} by - Admin email
+     * @param {string} reason - Required for sending back and reopening
+     */
+    async transitionPayRun(paysheetKey, action, by, reason = '') {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const paysheet = await this.getPaysheet(paysheetKey);
+            if (!paysheet) {
+                throw new Error(`Pay run ${paysheetKey} not found`);
+            }
+
+            const entry = PayRun.buildTransition(paysheet, action, by, reason);
+            const historyId = this.generateId();
+
+            await this.db.ref(`paysheets/${paysheetKey}`).update({
+                status: entry.to,
+                statusUpdatedAt: entry.at,
+                statusUpdatedBy: entry.by,
+                [`statusHistory/${historyId}`]: entry
+            });
+
+            console.log(`✅ Pay run ${paysheetKey}: ${entry.from} → ${entry.to} by ${entry.by}`);
+            return { success: true, status: entry.to };
+        } catch (error) {
+            console.error('Error updating pay run status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Undo the most recent import of a paysheet, restoring the paysheet and slips
+     * it overwrote. Repeated calls step back through earlier imports.
+     * @param {string} paysheetKey - Paysheet key (e.g. July_2025)
+     * @param {string} undoneBy - Admin email
+     * @param {boolean} canSendBack - Whether the admin may restore a verified or approved run
+     */
+    async undoLastPaysheetImport(paysheetKey, undoneBy, canSendBack = false) {
+        if (!this.initialized) throw new Error('Firebase DB not initialized');
+
+        try {
+            const current = await this.getPaysheet(paysheetKey);
+            if (!current || !current.importId) {
+                throw new Error(`No import to undo for ${paysheetKey.replace('_', ' ')}`);
+            }
+            if (!PayRun.canImport(current, canSendBack)) {
+                throw new Error(PayRun.importBlockedReason(current));
+            }
+
+            const snapshot = await this.db.ref(`imports/${current.importId}`).once('value');
+            if (!snapshot.exists()) {
+                throw new Error(`Import record ${current.importId} not found`);
+            }
+
+            const importRecord = snapshot.val();
+            const previousSlips = importRecord.previousSlips || {};
+            const batch = {};
+
+            const previousPaysheet = importRecord.previousPaysheet || null;
+            if (previousPaysheet && PayRun.getStatus(previousPaysheet) !== 'draft' && !canSendBack) {
+                throw new Error(`The import replaced a run that was ${PayRun.getStatus(previousPaysheet)}; only an approver can restore it.`);
+            }
+            batch[`paysheets/${paysheetKey}`] = previousPaysheet;
+            Object.keys(importRecord.touchedSlips || {}).forEach(id => {
+                batch[`salarySlips/${id}`] = previousSlips[id] || null;
+            });
+
+            const previousRecords = (previousPaysheet && previousPaysheet.records) || {};
+            const indexEntry = previousPaysheet ? this.getTeacherSlipEntry(previousPaysheet) : null;
+            new Set([...Object.keys(current.records || {}), ...Object.keys(previousRecords)]).forEach(teacherId => {
+                batch[`teacherSlips/${teacherId}/${paysheetKey}`] = previousRecords[teacherId] ? indexEntry : null;
+            });
+            // The restored slips verify again; codes issued by the undone import stop verifying
+            const restoredCodes = new Set();
+            Object.values(previousRecords).forEach(record => {
+                if (!record.verificationCode) return;
+                restoredCodes.add(record.verificationCode);
+                this.addSlipVerification(batch, record.verificationCode, record, paysheetKey);
+            });
+            Object.values(current.records || {}).forEach(record => {
+                if (record.verificationCode && !restoredCodes.has(record.verificationCode)) {
+                    this.addSlipVerification(batch, record.verificationCode, record, paysheetKey,
+                        firebase.database.ServerValue.TIMESTAMP);
+                }
+            });
+            batch[`imports/${current.importId}/undoneAt`] = firebase.database.ServerValue.TIMESTAMP;
+            batch[`imports/${current.importId}/undoneBy`] = undoneBy || null;
+
+            await this.db.ref().update(batch);
+
+            console.log(`✅ Undid import ${current.importId} of ${paysheetKey}`);
+            return {
+                success: true,
+                importId: current.importId,
+                restoredImportId: (importRecord.previousPaysheet && importRecord.previousPaysheet.importId) || null
+            };
         } catch (error) {
-            console.error('Error importing paysheet data:', error);
+            console.error('Error undoing paysheet import:', error);
             throw error;
         }
     }
@@ -414,9 +1964,16 @@ class FirebaseDB {
                 Object.keys(data).forEach(key => {
                     const paysheet = data[key];
                     if (paysheet && paysheet.month) {
-                        paysheetData[paysheet.month] = {
+                        // Keyed by paysheet so a month's supplementary runs do not replace its regular run
+                        paysheetData[key] = {
+                            month: paysheet.month,
+                            year: paysheet.year,
+                            monthNum: paysheet.monthNum,
+                            runType: PayRun.getRunType(paysheet),
+                            sequence: paysheet.sequence || null,
                             records: paysheet.records ? Object.values(paysheet.records) : [],
                             uploadDate: paysheet.createdAt,
+                            status: paysheet.status || null,
                             recordsCount: paysheet.summary ? paysheet.summary.totalTeachers : 0
                         };
                     }
@@ -0,0 +1,274 @@
+/**
+ * Income Tax Projection
+ * Projects a teacher's salary income for a financial year from their published
+ * slips to date plus the latest month's salary for the months still to come,
+ * works out the tax under the old and new regimes (FY 2025-26 rates) and
+ * suggests the monthly TDS that recovers the balance over the remaining months.
+ *
+ * The teacher's regime is kept in taxDeclarations/{startYear}/{teacherId}; the
+ * declared amounts come from their investment items (see InvestmentDeclaration)
+ * when they have any. PF, LIC and medical insurance deducted through payroll count
+ * towards 80C and 80D automatically. Surcharge (income above ₹50 lakh) and
+ * income from other sources are not considered.
+ */
+
+class IncomeTax {
+    /**
+     * Tax rules of each regime. Slabs are [upper limit, rate %]; the last slab
+     * has no upper limit.
+     */
+    static get REGIMES() {
+        return {
+            new: {
+                label: 'New Regime',
+                standardDeduction: 75000,
+                slabs: [[400000, 0], [800000, 5], [1200000, 10], [1600000, 15], [2000000, 20], [2400000, 25], [null, 30]],
+                rebateLimit: 1200000,
+                maxRebate: 60000,
+                allowsDeductions: false
+            },
+            old: {
+                label: 'Old Regime',
+                standardDeduction: 50000,
+                slabs: [[250000, 0], [500000, 5], [1000000, 20], [null, 30]],
+                rebateLimit: 500000,
+                maxRebate: 12500,
+                allowsDeductions: true
+            }
+        };
+    }
+
+    /**
+     * Ceilings on deductions under the old regime
+     */
+    static get LIMITS() {
+        return {
+            section80C: 150000,
+            section80D: 25000,
+            section80DSenior: 50000,
+            professionalTax: 2500
+        };
+    }
+
+    /**
+     * Health and education cess, % of tax
+     */
+    static get CESS_PERCENT() {
+        return 4;
+    }
+
+    /**
+     * Regime that applies when a teacher has not chosen one
+     */
+    static get DEFAULT_REGIME() {
+        return 'new';
+    }
+
+    /**
+     * Empty declaration, with the amounts a teacher can declare for a year
+     */
+    static get DECLARATION_FIELDS() {
+        return {
+            regime: IncomeTax.DEFAULT_REGIME,
+            // 80C investments made outside payroll (PPF, ELSS, tuition fees, home loan principal...)
+            section80C: 0,
+            // 80D health insurance premiums paid outside payroll
+            section80D: 0,
+            section80DParents: 0,
+            parentsSenior: false,
+            // Rent paid for the year, for the HRA exemption
+            rentPaid: 0,
+            metroCity: false
+        };
+    }
+
+    /**
+     * Check a declaration before it is saved
+     * @param {Object} declaration - See DECLARATION_FIELDS
+     * @returns {Array} Error messages
+     */
+    static validateDeclaration(declaration) {
+        const errors = [];
+        if (!IncomeTax.REGIMES[declaration.regime]) errors.push('Choose a tax regime');
+        ['section80C', 'section80D', 'section80DParents', 'rentPaid'].forEach(field => {
+            const value = Number(declaration[field]);
+            if (isNaN(value) || value < 0) errors.push('Amounts must be zero or more');
+        });
+        return Array.from(new Set(errors));
+    }
+
+    /**
+     * Tax on an income by slab
+     * @param {number} income - Taxable income
+     * @param {Array} slabs - [upper limit, rate %] pairs
+     */
+    static slabTax(income, slabs) {
+        let tax = 0;
+        let lower = 0;
+        for (const [upTo, rate] of slabs) {
+            const top = upTo === null ? income : Math.min(income, upTo);
+            if (top > lower) tax += (top - lower) * rate / 100;
+            if (upTo === null || income <= upTo) break;
+            lower = upTo;
+        }
+        return tax;
+    }
+
+    /**
+     * HRA exemption (section 10(13A)): the least of HRA received, rent paid over
+     * 10% of salary, and 50% (metro) or 40% of salary, salary being basic + DA
+     * @param {Object} values - {hra, salary, rentPaid, metroCity}
+     */
+    static hraExemption({ hra, salary, rentPaid, metroCity }) {
+        if (!hra || !rentPaid) return 0;
+        return Math.max(0, Math.min(hra, rentPaid - salary * 0.1, salary * (metroCity ? 0.5 : 0.4)));
+    }
+
+    /**
+     * Project the year's salary from slips paid so far
+     * @param {Array} slips - Published slips of one teacher (any years)
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {PayHeads} payHeads - Pay head catalog
+     * @returns {Object} Annual amounts, TDS deducted to date and months remaining
+     */
+    static project(slips, startYear, payHeads = new PayHeads()) {
+        const yearSlips = slips.filter(slip => AnnualStatement.getFinancialYear(slip) === startYear);
+        const regular = yearSlips
+            .filter(slip => !PayRun.isSupplementary(slip))
+            .sort(PayRun.compare);
+
+        const monthsPaid = new Set(regular.map(slip => `${slip.year}${slip.monthNum}`)).size;
+        const monthsRemaining = Math.max(0, 12 - monthsPaid);
+
+        const fields = {
+            taxableEarnings: amounts => payHeads.taxableEarnings(amounts),
+            hra: amounts => amounts.hra30 || 0,
+            basicDa: amounts => (amounts.revisedBasicPay || 0) + (amounts.da150 || 0),
+            profTax: amounts => amounts.profTax || 0,
+            pf: amounts => amounts.pf || 0,
+            lic: amounts => amounts.lic || 0,
+            medicalInsurance: amounts => amounts.medicalInsurance || 0
+        };
+
+        const projection = { startYear, monthsPaid, monthsRemaining, tdsToDate: 0 };
+        Object.keys(fields).forEach(field => { projection[field] = 0; });
+
+        yearSlips.forEach(slip => {
+            const amounts = payHeads.amounts(slip);
+            Object.keys(fields).forEach(field => { projection[field] += fields[field](amounts); });
+            projection.tdsToDate += amounts.incomeTax || 0;
+        });
+
+        // The latest month's salary is assumed for every month still to be paid
+        if (regular.length > 0 && monthsRemaining > 0) {
+            const latest = payHeads.amounts(regular[0]);
+            Object.keys(fields).forEach(field => { projection[field] += fields[field](latest) * monthsRemaining; });
+        }
+        return projection;
+    }
+
+    /**
+     * Tax for the projected year under one regime
+     * @param {Object} projection - From project()
+     * @param {string} regimeId - Key of REGIMES
+     * @param {Object} declaration - See DECLARATION_FIELDS
+     * @returns {Object} Computation, every step included for display
+     */
+    static computeLiability(projection, regimeId, declaration = {}) {
+        const regime = IncomeTax.REGIMES[regimeId];
+        const limits = IncomeTax.LIMITS;
+        const declared = { ...IncomeTax.DECLARATION_FIELDS, ...declaration };
+
+        const grossSalary = projection.taxableEarnings;
+        let hraExemption = 0;
+        let professionalTax = 0;
+        let section80C = 0;
+        let section80D = 0;
+
+        if (regime.allowsDeductions) {
+            hraExemption = IncomeTax.hraExemption({
+                hra: projection.hra,
+                salary: projection.basicDa,
+                rentPaid: Number(declared.rentPaid) || 0,
+                metroCity: declared.metroCity
+            });
+            professionalTax = Math.min(projection.profTax, limits.professionalTax);
+            section80C = Math.min(limits.section80C, projection.pf + projection.lic + (Number(declared.section80C) || 0));
+            section80D = Math.min(limits.section80D, projection.medicalInsurance + (Number(declared.section80D) || 0)) +
+                Math.min(declared.parentsSenior ? limits.section80DSenior : limits.section80D, Number(declared.section80DParents) || 0);
+        }
+
+        const standardDeduction = Math.min(regime.standardDeduction, Math.max(0, grossSalary - hraExemption));
+        // Total income is rounded to the nearest ten rupees (section 288A)
+        const taxableIncome = Math.round(Math.max(0,
+            grossSalary - hraExemption - standardDeduction - professionalTax - section80C - section80D) / 10) * 10;
+
+        const tax = IncomeTax.slabTax(taxableIncome, regime.slabs);
+        let rebate = 0;
+        if (taxableIncome <= regime.rebateLimit) {
+            rebate = Math.min(tax, regime.maxRebate);
+        } else if (regimeId === 'new') {
+            // Marginal relief: tax may not exceed the income above the rebate limit
+            rebate = Math.max(0, tax - (taxableIncome - regime.rebateLimit));
+        }
+        const taxAfterRebate = tax - rebate;
+        const cess = taxAfterRebate * IncomeTax.CESS_PERCENT / 100;
+
+        return {
+            regime: regimeId,
+            grossSalary,
+            hraExemption,
+            standardDeduction,
+            professionalTax,
+            section80C,
+            section80D,
+            taxableIncome,
+            tax,
+            rebate,
+            cess,
+            // Tax payable is rounded to the nearest ten rupees (section 288B)
+            total: Math.round((taxAfterRebate + cess) / 10) * 10
+        };
+    }
+
+    /**
+     * Monthly TDS that recovers the rest of the year's tax evenly
+     * @param {number} total - Tax for the year
+     * @param {number} tdsToDate - Tax already deducted
+     * @param {number} monthsRemaining - Months still to be paid
+     */
+    static suggestMonthlyTds(total, tdsToDate, monthsRemaining) {
+        if (monthsRemaining <= 0) return 0;
+        return Math.ceil(Math.max(0, total - tdsToDate) / monthsRemaining);
+    }
+
+    /**
+     * Full assessment of one teacher for a year: both regimes, the regime that
+     * applies and the suggested monthly TDS
+     * @param {Array} slips - Published slips of the teacher
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {Object|null} declaration - Teacher's declaration; the default regime when missing
+     * @param {PayHeads} payHeads - Pay head catalog
+     */
+    static assess(slips, startYear, declaration = null, payHeads = new PayHeads()) {
+        const projection = IncomeTax.project(slips, startYear, payHeads);
+        const liabilities = {};
+        Object.keys(IncomeTax.REGIMES).forEach(regimeId => {
+            liabilities[regimeId] = IncomeTax.computeLiability(projection, regimeId, declaration || {});
+        });
+
+        const regime = declaration && IncomeTax.REGIMES[declaration.regime] ? declaration.regime : IncomeTax.DEFAULT_REGIME;
+        const cheaper = liabilities.old.total < liabilities.new.total ? 'old' : 'new';
+        return {
+            projection,
+            liabilities,
+            regime,
+            cheaper,
+            declared: !!declaration,
+            monthlyTds: IncomeTax.suggestMonthlyTds(liabilities[regime].total, projection.tdsToDate, projection.monthsRemaining)
+        };
+    }
+}
+
+// Export for use in other modules
+window.IncomeTax = IncomeTax;
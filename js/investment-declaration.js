@@ -0,0 +1,164 @@
+/**
+ * Investment Declarations and Proofs
+ * At the start of a financial year teachers declare the tax-saving investments
+ * they plan, one line item per investment
+ * (investmentDeclarations/{startYear}/{teacherId}/{itemId}). Later they upload a
+ * proof for each item (investmentProofs/{startYear}/{teacherId}/{itemId}, kept
+ * apart so listing items does not download files) and the office accepts or
+ * rejects it with a comment.
+ *
+ * Until an item is reviewed its declared amount counts for the TDS projection;
+ * accepted items count at the accepted amount and rejected items not at all.
+ */
+
+class InvestmentDeclaration {
+    /**
+     * Sections an item can be declared under. Keys are the amount fields of
+     * IncomeTax.DECLARATION_FIELDS they add up into.
+     */
+    static get SECTIONS() {
+        return {
+            section80C: '80C – PPF, ELSS, tuition fees, home loan principal',
+            section80D: '80D – Health insurance (self and family)',
+            section80DParents: '80D – Health insurance (parents)',
+            rentPaid: 'HRA – Rent paid for the year'
+        };
+    }
+
+    /**
+     * Item states
+     */
+    static get STATUSES() {
+        return ['Declared', 'Submitted', 'Accepted', 'Rejected'];
+    }
+
+    /**
+     * Largest proof file accepted; files are stored in the database as data URLs
+     */
+    static get MAX_PROOF_BYTES() {
+        return 750 * 1024;
+    }
+
+    /**
+     * File types accepted as proof
+     */
+    static get PROOF_TYPES() {
+        return ['application/pdf', 'image/jpeg', 'image/png'];
+    }
+
+    /**
+     * Check a new item before it is saved
+     * @param {Object} item - {section, description, declaredAmount}
+     * @returns {Array} Error messages
+     */
+    static validateItem(item) {
+        const errors = [];
+        if (!InvestmentDeclaration.SECTIONS[item.section]) errors.push('Choose a section');
+        if (!(item.description || '').trim()) errors.push('Describe the investment');
+        if (!(Number(item.declaredAmount) > 0)) errors.push('Enter the amount');
+        return errors;
+    }
+
+    /**
+     * Check a proof file before it is uploaded
+     * @param {File} file - Selected file
+     * @returns {Array} Error messages
+     */
+    static validateProof(file) {
+        const errors = [];
+        if (!file) return ['Choose a file'];
+        if (!InvestmentDeclaration.PROOF_TYPES.includes(file.type)) errors.push('Upload a PDF, JPEG or PNG file');
+        if (file.size > InvestmentDeclaration.MAX_PROOF_BYTES) {
+            errors.push(`The file must be smaller than ${Math.round(InvestmentDeclaration.MAX_PROOF_BYTES / 1024)} KB`);
+        }
+        return errors;
+    }
+
+    /**
+     * Build a new declared item
+     * @param {Object} teacher - {teacherName}
+     * @param {Object} form - {section, description, declaredAmount}
+     */
+    static create(teacher, form) {
+        return {
+            teacherName: teacher.teacherName || '',
+            section: form.section,
+            description: form.description.trim(),
+            declaredAmount: Math.round(Number(form.declaredAmount)),
+            status: 'Declared',
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Amount an item currently counts for
+     * @param {Object} item - Line item
+     */
+    static countedAmount(item) {
+        if (item.status === 'Rejected') return 0;
+        if (item.status === 'Accepted') {
+            return Number(item.acceptedAmount ?? item.declaredAmount) || 0;
+        }
+        return Number(item.declaredAmount) || 0;
+    }
+
+    /**
+     * Totals of a teacher's items per section
+     * @param {Array} items - Line items
+     * @returns {Object} {section80C, section80D, section80DParents, rentPaid}
+     */
+    static totals(items) {
+        const totals = {};
+        Object.keys(InvestmentDeclaration.SECTIONS).forEach(section => { totals[section] = 0; });
+        items.forEach(item => {
+            if (totals[item.section] !== undefined) totals[item.section] += InvestmentDeclaration.countedAmount(item);
+        });
+        return totals;
+    }
+
+    /**
+     * Declaration for the tax projection, with the amounts taken from the items
+     * when the teacher has declared any
+     * @param {Object|null} declaration - Regime and flags from taxDeclarations
+     * @param {Array} items - Line items
+     * @returns {Object|null} null when the teacher has declared nothing
+     */
+    static applyTo(declaration, items) {
+        if (!items || items.length === 0) return declaration;
+        return { ...IncomeTax.DECLARATION_FIELDS, ...(declaration || {}), ...InvestmentDeclaration.totals(items) };
+    }
+
+    /**
+     * Read a proof file for upload
+     * @param {File} file - Selected file
+     * @returns {Promise<Object>} {fileName, contentType, size, dataUrl}
+     */
+    static readProof(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({
+                fileName: file.name,
+                contentType: file.type,
+                size: file.size,
+                dataUrl: reader.result
+            });
+            reader.onerror = () => reject(new Error('Failed to read the file'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Open a stored proof in a new tab
+     * @param {Object} proof - {dataUrl, contentType}
+     */
+    static async openProof(proof) {
+        // Browsers block navigating to data URLs, so the file is opened as a blob
+        const blob = await (await fetch(proof.dataUrl)).blob();
+        const url = window.URL.createObjectURL(blob);
+        window.open(url, '_blank');
+        setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    }
+}
+
+// Export for use in other modules
+window.InvestmentDeclaration = InvestmentDeclaration;
@@ -0,0 +1,229 @@
+/**
+ * Pay Heads Catalog
+ * Admin-managed list of earning and deduction heads (payHeads/{id}). The id of a
+ * head is the field name its amount is stored under on paysheet records and
+ * salary slips, so the built-in heads keep the field names of existing data.
+ */
+
+class PayHeads {
+    /**
+     * @param {Array} heads - Head definitions; the built-in catalog when omitted
+     */
+    constructor(heads = null) {
+        // Retired heads are no longer imported or computed, but slips that carry
+        // an amount for one still show it
+        this.allHeads = (heads || PayHeads.DEFAULTS)
+            .filter(head => head && head.id)
+            .map(head => ({ ...head, aliases: head.aliases || [] }))
+            .sort((a, b) => (a.order || 0) - (b.order || 0));
+        this.heads = this.allHeads.filter(head => head.active !== false);
+    }
+
+    /**
+     * Head types
+     */
+    static get TYPES() {
+        return ['earning', 'deduction'];
+    }
+
+    /**
+     * Built-in heads, matching the BVIT paysheet
+     */
+    static get DEFAULTS() {
+        return [
+            { id: 'revisedBasicPay', name: 'Revised Basic Pay', type: 'earning', taxable: true, order: 10, system: true,
+                aliases: ['Revised Basic Pay', 'Revised Basic', 'Basic Pay', 'Basic', 'Basic Salary'] },
+            { id: 'da150', name: 'D.A. 150%', type: 'earning', taxable: true, order: 20, system: true,
+                aliases: ['D.A.', 'Dearness Allowance'] },
+            { id: 'hra30', name: 'H.R.A 30%', type: 'earning', taxable: true, order: 30, system: true,
+                aliases: ['H.R.A', 'House Rent Allowance'] },
+            { id: 'cla', name: 'C.L.A.', type: 'earning', taxable: true, order: 40, system: true,
+                aliases: ['C.L.A.', 'City Allowance'] },
+            { id: 'addAllowance', name: 'Add. Allowance', type: 'earning', taxable: true, order: 50, system: true,
+                aliases: ['Add. Allowance', 'Additional Allowance', 'Addl Allowance', 'Other Allowance', 'Allowances'] },
+            { id: 'profTax', name: 'Prof. Tax', type: 'deduction', taxable: false, order: 110, system: true,
+                aliases: ['Prof. Tax', 'Professional Tax', 'P Tax', 'PT'] },
+            { id: 'incomeTax', name: 'Income Tax', type: 'deduction', taxable: false, order: 120, system: true,
+                aliases: ['Income Tax', 'TDS', 'IT'] },
+            { id: 'pf', name: 'P.F.', type: 'deduction', taxable: false, order: 130, system: true,
+                aliases: ['P.F.', 'EPF', 'Provident Fund'] },
+            { id: 'lic', name: 'LIC', type: 'deduction', taxable: false, order: 140, system: true,
+                aliases: ['LIC'] },
+            { id: 'medicalInsurance', name: 'Medical Insur.', type: 'deduction', taxable: false, order: 150, system: true,
+                aliases: ['Medical Insurance', 'Medical Insur.', 'Mediclaim'] },
+            { id: 'ewFund', name: 'EW Fund', type: 'deduction', taxable: false, order: 160, system: true,
+                aliases: ['EW Fund', 'EWF', 'Welfare Fund', 'Employee Welfare Fund'] }
+        ];
+    }
+
+    /**
+     * Load the catalog from the database, falling back to the built-in heads
+     * @param {FirebaseDB} firebaseDB - Initialized database wrapper
+     */
+    static async load(firebaseDB) {
+        try {
+            const heads = await firebaseDB.getPayHeads();
+            return new PayHeads(heads && heads.length > 0 ? heads : null);
+        } catch (error) {
+            console.warn('⚠️ Could not load pay heads, using built-in catalog:', error.message);
+            return new PayHeads();
+        }
+    }
+
+    /**
+     * Field id for a new head name, e.g. "Transport Allowance" → "transportAllowance"
+     * @param {string} name - Head name
+     */
+    static toId(name) {
+        const words = (name || '').replace(/[^A-Za-z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+        return words.map((word, index) => index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+        ).join('');
+    }
+
+    /**
+     * Older field names that still hold a head's amount on legacy records
+     */
+    static get LEGACY_FIELDS() {
+        return {
+            revisedBasicPay: ['basicSalary'],
+            da150: ['da'],
+            hra30: ['hra'],
+            cla: ['conveyance'],
+            addAllowance: ['allowances'],
+            profTax: ['professionalTax', 'pt', 'tax'],
+            incomeTax: ['tds'],
+            pf: ['epf'],
+            medicalInsurance: ['esi']
+        };
+    }
+
+    /**
+     * First of the values a record carries, as a number; a recorded 0 counts, a
+     * missing field does not
+     * @param {...*} values - Field values in order of preference
+     * @returns {number|null} Null when none of the fields holds a number
+     */
+    static firstAmount(...values) {
+        for (const value of values) {
+            if (value === undefined || value === null || value === '') continue;
+            const parsed = parseFloat(value);
+            if (!isNaN(parsed)) return parsed;
+        }
+        return null;
+    }
+
+    /**
+     * Read every head amount and the totals from a record, resolving legacy
+     * field names and computing totals the record does not carry
+     * @param {Object} record - Paysheet record or salary slip
+     * @returns {Object} {[headId]: amount, grossTotal, totalDeductions, netPay}
+     */
+    amounts(record) {
+        const amount = PayHeads.firstAmount;
+        const result = {};
+        this.allHeads.forEach(head => {
+            const legacy = PayHeads.LEGACY_FIELDS[head.id] || [];
+            result[head.id] = amount(record[head.id], ...legacy.map(field => record[field])) ?? 0;
+        });
+
+        result.grossTotal = amount(record.grossTotal, record.grossSalary) ?? this.totalEarnings(result);
+        result.totalDeductions = amount(record.totalDeductions) ?? this.totalDeductions(result);
+        result.netPay = amount(record.netPay, record.netSalary) ?? (result.grossTotal - result.totalDeductions);
+        return result;
+    }
+
+    /**
+     * Active heads of a type, plus retired ones that hold an amount on the given records
+     * @param {string} type - 'earning' or 'deduction'
+     * @param {Object|Array} records - Record or records being shown
+     */
+    headsOfType(type, records = null) {
+        const list = [].concat(records || []);
+        return this.allHeads.filter(head => head.type === type &&
+            (head.active !== false || list.some(record => record && Number(record[head.id]))));
+    }
+
+    /**
+     * Earning heads in display order
+     * @param {Object|Array} records - Record or records being shown; retired heads
+     *   with an amount on them are included
+     */
+    earnings(records = null) {
+        return this.headsOfType('earning', records);
+    }
+
+    /**
+     * Deduction heads in display order
+     * @param {Object|Array} records - Record or records being shown; retired heads
+     *   with an amount on them are included
+     */
+    deductions(records = null) {
+        return this.headsOfType('deduction', records);
+    }
+
+    /**
+     * Find a head by id
+     * @param {string} id - Head id
+     */
+    get(id) {
+        return this.heads.find(head => head.id === id) || null;
+    }
+
+    /**
+     * Sum of a record's earning heads
+     * @param {Object} record - Paysheet record or slip
+     */
+    totalEarnings(record) {
+        return this.earnings(record).reduce((sum, head) => sum + (Number(record[head.id]) || 0), 0);
+    }
+
+    /**
+     * Sum of a record's deduction heads
+     * @param {Object} record - Paysheet record or slip
+     */
+    totalDeductions(record) {
+        return this.deductions(record).reduce((sum, head) => sum + (Number(record[head.id]) || 0), 0);
+    }
+
+    /**
+     * Sum of a record's taxable earnings
+     * @param {Object} record - Paysheet record or slip
+     */
+    taxableEarnings(record) {
+        return this.earnings(record)
+            .filter(head => head.taxable)
+            .reduce((sum, head) => sum + (Number(record[head.id]) || 0), 0);
+    }
+
+    /**
+     * Check a head definition before it is saved
+     * @param {Object} head - {id, name, type, taxable, order, aliases}
+     * @param {Array} existing - Current heads, to reject duplicate ids
+     * @param {boolean} isNew - Whether the head is being added rather than edited
+     * @returns {Array} Error messages
+     */
+    static validate(head, existing = [], isNew = true) {
+        const errors = [];
+        if (!head.name || !head.name.trim()) errors.push('Name is required');
+        if (!head.id || !/^[a-z][A-Za-z0-9]*$/.test(head.id)) errors.push('Name must start with a letter');
+        if (!PayHeads.TYPES.includes(head.type)) errors.push('Type must be earning or deduction');
+        if (isNaN(parseInt(head.order, 10))) errors.push('Display order must be a number');
+
+        // Other record fields, including the legacy names kept for compatibility
+        const reserved = ['id', 'teacherId', 'teacherName', 'designation', 'department', 'qualification', 'pan', 'uan',
+            'payScale', 'payBand', 'agp', 'grossTotal', 'totalDeductions', 'netPay', 'basicSalary', 'da', 'hra', 'allowances',
+            'grossSalary', 'netSalary', 'payDate', 'status', 'month', 'year', 'monthNum', 'createdAt', 'paysheetId', 'importId',
+            'payableDays', 'daysInMonth', 'arrearsFrom', 'arrearsTo', 'arrearsMonths', 'runType', 'sequence',
+            'sheetTeacherId', 'verificationCode'];
+        if (reserved.includes(head.id)) errors.push(`"${head.name}" clashes with a built-in slip field`);
+        if (isNew && existing.some(other => other.id === head.id)) {
+            errors.push(`A pay head named "${head.name}" already exists`);
+        }
+        return errors;
+    }
+}
+
+// Export for use in other modules
+window.PayHeads = PayHeads;
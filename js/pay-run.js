@@ -0,0 +1,213 @@
+/**
+ * Pay Run Lifecycle
+ * State machine for a monthly paysheet (paysheets/{Month_Year}):
+ * draft → verified → approved → published → locked.
+ * Teachers only see published and locked months; published months cannot be
+ * re-imported until they are formally reopened.
+ *
+ * Besides the regular run keyed by month, a month can have supplementary runs
+ * (arrears, bonus, corrections) keyed {Month_Year}_{runType}_{sequence}. Each has
+ * its own import, lifecycle and slips, and links back to the month by baseRunId.
+ */
+
+class PayRun {
+    /**
+     * Lifecycle states, in order
+     */
+    static get STATES() {
+        return ['draft', 'verified', 'approved', 'published', 'locked'];
+    }
+
+    /**
+     * Allowed transitions: action → {from, to, label}
+     */
+    static get TRANSITIONS() {
+        return {
+            verify: { from: ['draft'], to: 'verified', label: 'Mark Verified' },
+            approve: { from: ['verified'], to: 'approved', label: 'Approve' },
+            publish: { from: ['approved'], to: 'published', label: 'Publish to Teachers' },
+            lock: { from: ['published'], to: 'locked', label: 'Lock' },
+            sendBack: { from: ['verified', 'approved'], to: 'draft', label: 'Send Back to Draft', requiresReason: true },
+            reopen: { from: ['published', 'locked'], to: 'draft', label: 'Reopen', requiresReason: true }
+        };
+    }
+
+    /**
+     * Display labels for states
+     */
+    static get LABELS() {
+        return {
+            draft: 'Draft',
+            verified: 'Verified',
+            approved: 'Approved',
+            published: 'Published',
+            locked: 'Locked'
+        };
+    }
+
+    /**
+     * Kinds of pay run
+     */
+    static get RUN_TYPES() {
+        return {
+            regular: 'Regular',
+            arrears: 'Arrears',
+            bonus: 'Bonus',
+            correction: 'Correction'
+        };
+    }
+
+    /**
+     * Paysheet key of a run, e.g. July_2025 or July_2025_arrears_1
+     * @param {string} month - Month name
+     * @param {string} year - Year
+     * @param {string} runType - Key of PayRun.RUN_TYPES
+     * @param {number} sequence - Number of the supplementary run within the month
+     */
+    static buildKey(month, year, runType = 'regular', sequence = 1) {
+        if (!runType || runType === 'regular') return `${month}_${year}`;
+        if (!PayRun.RUN_TYPES[runType]) {
+            throw new Error(`Unknown pay run type: ${runType}`);
+        }
+        return `${month}_${year}_${runType}_${sequence}`;
+    }
+
+    /**
+     * Kind of run a paysheet or slip belongs to
+     * @param {Object} paysheet - Paysheet node or salary slip
+     */
+    static getRunType(paysheet) {
+        return (paysheet && PayRun.RUN_TYPES[paysheet.runType] && paysheet.runType) || 'regular';
+    }
+
+    /**
+     * Whether a paysheet or slip belongs to a supplementary run
+     * @param {Object} paysheet - Paysheet node or salary slip
+     */
+    static isSupplementary(paysheet) {
+        return PayRun.getRunType(paysheet) !== 'regular';
+    }
+
+    /**
+     * Display title, e.g. "July 2025" or "July 2025 – Arrears 2"
+     * @param {Object} paysheet - Paysheet node or salary slip
+     */
+    static getTitle(paysheet) {
+        const title = `${paysheet.month} ${paysheet.year}`;
+        if (!PayRun.isSupplementary(paysheet)) return title;
+
+        const sequence = Number(paysheet.sequence) > 1 ? ` ${paysheet.sequence}` : '';
+        return `${title} – ${PayRun.RUN_TYPES[paysheet.runType]}${sequence}`;
+    }
+
+    /**
+     * Sequence number for a new supplementary run of a month
+     * @param {Object} runs - The month's supplementary paysheets keyed by paysheet key
+     * @param {string} runType - Key of PayRun.RUN_TYPES
+     */
+    static nextSequence(runs, runType) {
+        const used = Object.values(runs || {})
+            .filter(run => run && run.runType === runType)
+            .map(run => Number(run.sequence) || 0);
+        return used.length > 0 ? Math.max(...used) + 1 : 1;
+    }
+
+    /**
+     * Sort order for listing runs: newest month first, the regular run before its supplementary runs
+     * @param {Object} a - Paysheet node
+     * @param {Object} b - Paysheet node
+     */
+    static compare(a, b) {
+        const byMonth = `${b.year}${b.monthNum}`.localeCompare(`${a.year}${a.monthNum}`);
+        if (byMonth !== 0) return byMonth;
+        const types = Object.keys(PayRun.RUN_TYPES);
+        return (types.indexOf(PayRun.getRunType(a)) - types.indexOf(PayRun.getRunType(b))) ||
+            ((Number(a.sequence) || 0) - (Number(b.sequence) || 0));
+    }
+
+    /**
+     * Current state of a paysheet. Months imported before the lifecycle existed
+     * were already visible to teachers, so a missing status counts as published.
+     * @param {Object} paysheet - Paysheet node
+     */
+    static getStatus(paysheet) {
+        if (!paysheet) return null;
+        return PayRun.STATES.includes(paysheet.status) ? paysheet.status : 'published';
+    }
+
+    /**
+     * Whether teachers may see slips from this paysheet
+     * @param {Object} paysheet - Paysheet node
+     */
+    static isVisibleToTeachers(paysheet) {
+        const status = PayRun.getStatus(paysheet);
+        return status === 'published' || status === 'locked';
+    }
+
+    /**
+     * Whether a new import (or undo of an import) may overwrite this paysheet.
+     * Importing over a verified or approved run sends it back to draft, so it needs
+     * the approve permission as well; the database rules enforce the same.
+     * @param {Object} paysheet - Existing paysheet node, or null for a new month
+     * @param {boolean} canSendBack - Whether the admin may also send runs back
+     */
+    static canImport(paysheet, canSendBack = false) {
+        const status = PayRun.getStatus(paysheet);
+        return !paysheet || status === 'draft' || (canSendBack && (status === 'verified' || status === 'approved'));
+    }
+
+    /**
+     * Why canImport() refused a paysheet
+     * @param {Object} paysheet - Existing paysheet node
+     */
+    static importBlockedReason(paysheet) {
+        const status = PayRun.getStatus(paysheet);
+        return PayRun.isVisibleToTeachers(paysheet)
+            ? `${PayRun.getTitle(paysheet)} is ${status}. Reopen the pay run before importing again.`
+            : `${PayRun.getTitle(paysheet)} is ${status}. An approver must send it back to draft before it is imported again.`;
+    }
+
+    /**
+     * Actions available from the paysheet's current state
+     * @param {Object} paysheet - Paysheet node
+     */
+    static getAvailableActions(paysheet) {
+        const status = PayRun.getStatus(paysheet);
+        return Object.keys(PayRun.TRANSITIONS).filter(action => PayRun.TRANSITIONS[action].from.includes(status));
+    }
+
+    /**
+     * Validate a transition and build its history entry
+     * @param {Object} paysheet - Paysheet node
+     * @param {string} action - Key of PayRun.TRANSITIONS
+     * @param {string} by - Admin email
+     * @param {string} reason - Required for sendBack and reopen
+     * @returns {Object} {from, to, action, by, at, reason}
+     */
+    static buildTransition(paysheet, action, by, reason = '') {
+        const transition = PayRun.TRANSITIONS[action];
+        if (!transition) {
+            throw new Error(`Unknown pay run action: ${action}`);
+        }
+
+        const from = PayRun.getStatus(paysheet);
+        if (!transition.from.includes(from)) {
+            throw new Error(`Cannot ${transition.label.toLowerCase()} a ${PayRun.LABELS[from].toLowerCase()} pay run`);
+        }
+        if (transition.requiresReason && !(reason || '').trim()) {
+            throw new Error(`A reason is required to ${transition.label.toLowerCase()}`);
+        }
+
+        return {
+            from,
+            to: transition.to,
+            action,
+            by: by || 'unknown',
+            at: new Date().toISOString(),
+            reason: (reason || '').trim()
+        };
+    }
+}
+
+// Export for use in other modules
+window.PayRun = PayRun;
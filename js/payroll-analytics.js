@@ -0,0 +1,195 @@
+/**
+ * Payroll Analytics
+ * Month-over-month figures from the paysheets node: total gross, deductions and
+ * net paid each month (supplementary runs included in the month they were paid),
+ * spend by designation and department, headcount changes, and teachers whose
+ * net pay moved by more than a threshold since the previous month.
+ *
+ * Headcount and net pay changes compare the regular runs only; arrears and bonus
+ * runs would otherwise show up as pay swings.
+ */
+
+class PayrollAnalytics {
+    /**
+     * @param {Object} paysheets - Paysheet nodes keyed by paysheet key
+     * @param {Object} options - {includeUnpublished}
+     */
+    constructor(paysheets, options = {}) {
+        this.runs = Object.keys(paysheets || {})
+            .map(key => ({ key, ...paysheets[key] }))
+            .filter(run => run.month && run.year && run.monthNum)
+            .filter(run => options.includeUnpublished || PayRun.isVisibleToTeachers(run));
+    }
+
+    /**
+     * Net pay change, in percent, above which a teacher is listed
+     */
+    static get DEFAULT_THRESHOLD_PERCENT() {
+        return 10;
+    }
+
+    /**
+     * Sortable key of a run's month, e.g. "202507"
+     * @param {Object} run - Paysheet node
+     */
+    static monthKey(run) {
+        return `${run.year}${run.monthNum}`;
+    }
+
+    /**
+     * Records of a run as an array
+     * @param {Object} run - Paysheet node
+     */
+    static records(run) {
+        return Object.values((run && run.records) || {}).filter(record => record && record.teacherId);
+    }
+
+    /**
+     * Gross, deductions and net of a record, including legacy field names
+     * @param {Object} record - Paysheet record
+     */
+    static amounts(record) {
+        const gross = PayHeads.firstAmount(record.grossTotal, record.grossSalary) ?? 0;
+        const deductions = PayHeads.firstAmount(record.totalDeductions) ?? 0;
+        const net = PayHeads.firstAmount(record.netPay, record.netSalary) ?? (gross - deductions);
+        return { gross, deductions, net };
+    }
+
+    /**
+     * Months that have a run, oldest first
+     * @returns {Array} [{key, label, runs, regular}]
+     */
+    months() {
+        const byMonth = {};
+        this.runs.forEach(run => {
+            const key = PayrollAnalytics.monthKey(run);
+            const month = byMonth[key] = byMonth[key] || { key, label: `${run.month} ${run.year}`, runs: [], regular: null };
+            month.runs.push(run);
+            if (!PayRun.isSupplementary(run)) month.regular = run;
+        });
+        return Object.keys(byMonth).sort().map(key => byMonth[key]);
+    }
+
+    /**
+     * Totals paid per month, oldest first
+     * @returns {Array} [{key, label, gross, deductions, net, headcount}]
+     */
+    trend() {
+        return this.months().map(month => {
+            const totals = { key: month.key, label: month.label, gross: 0, deductions: 0, net: 0 };
+            month.runs.forEach(run => {
+                PayrollAnalytics.records(run).forEach(record => {
+                    const amounts = PayrollAnalytics.amounts(record);
+                    totals.gross += amounts.gross;
+                    totals.deductions += amounts.deductions;
+                    totals.net += amounts.net;
+                });
+            });
+            totals.headcount = PayrollAnalytics.records(month.regular).length;
+            return totals;
+        });
+    }
+
+    /**
+     * Spend of a month grouped by a record field
+     * @param {string} monthKey - From monthKey()
+     * @param {string} field - 'designation' or 'department'
+     * @returns {Array} [{name, headcount, gross, net}], largest gross first
+     */
+    breakdown(monthKey, field) {
+        const month = this.months().find(m => m.key === monthKey);
+        if (!month) return [];
+
+        const groups = {};
+        month.runs.forEach(run => {
+            PayrollAnalytics.records(run).forEach(record => {
+                const name = (record[field] || '').toString().trim() || 'Not specified';
+                const group = groups[name] = groups[name] || { name, teachers: new Set(), gross: 0, net: 0 };
+                const amounts = PayrollAnalytics.amounts(record);
+                group.teachers.add(record.teacherId);
+                group.gross += amounts.gross;
+                group.net += amounts.net;
+            });
+        });
+
+        return Object.values(groups)
+            .map(group => ({ name: group.name, headcount: group.teachers.size, gross: group.gross, net: group.net }))
+            .sort((a, b) => b.gross - a.gross);
+    }
+
+    /**
+     * The month's regular run and the previous month's that has one
+     * @param {string} monthKey - From monthKey()
+     * @returns {Object} {current, previous}, either may be null
+     */
+    regularPair(monthKey) {
+        const months = this.months().filter(month => month.regular);
+        const index = months.findIndex(month => month.key === monthKey);
+        return {
+            current: index >= 0 ? months[index].regular : null,
+            previous: index > 0 ? months[index - 1].regular : null
+        };
+    }
+
+    /**
+     * Teachers paid this month but not the previous one, and the reverse
+     * @param {string} monthKey - From monthKey()
+     * @returns {Object} {previousLabel, joined, left, previousCount, currentCount}
+     */
+    headcountChanges(monthKey) {
+        const { current, previous } = this.regularPair(monthKey);
+        const currentRecords = PayrollAnalytics.records(current);
+        const previousRecords = PayrollAnalytics.records(previous);
+        const currentIds = new Set(currentRecords.map(record => record.teacherId));
+        const previousIds = new Set(previousRecords.map(record => record.teacherId));
+        const person = record => ({ teacherId: record.teacherId, teacherName: record.teacherName || '', department: record.department || '' });
+
+        return {
+            previousLabel: previous ? `${previous.month} ${previous.year}` : null,
+            previousCount: previousIds.size,
+            currentCount: currentIds.size,
+            joined: previous ? currentRecords.filter(record => !previousIds.has(record.teacherId)).map(person) : [],
+            left: previousRecords.filter(record => !currentIds.has(record.teacherId)).map(person)
+        };
+    }
+
+    /**
+     * Teachers whose net pay changed by more than the threshold since the
+     * previous month
+     * @param {string} monthKey - From monthKey()
+     * @param {number} thresholdPercent - Change in percent
+     * @returns {Array} [{teacherId, teacherName, paysheetKey, previousNet, currentNet, change, changePercent}], largest change first
+     */
+    netPayOutliers(monthKey, thresholdPercent = PayrollAnalytics.DEFAULT_THRESHOLD_PERCENT) {
+        const { current, previous } = this.regularPair(monthKey);
+        if (!current || !previous) return [];
+
+        const previousNet = {};
+        PayrollAnalytics.records(previous).forEach(record => {
+            previousNet[record.teacherId] = PayrollAnalytics.amounts(record).net;
+        });
+
+        return PayrollAnalytics.records(current)
+            .filter(record => previousNet[record.teacherId] !== undefined)
+            .map(record => {
+                const before = previousNet[record.teacherId];
+                const after = PayrollAnalytics.amounts(record).net;
+                const change = after - before;
+                return {
+                    teacherId: record.teacherId,
+                    teacherName: record.teacherName || '',
+                    paysheetKey: current.key,
+                    previousNet: before,
+                    currentNet: after,
+                    change,
+                    // A teacher unpaid last month counts as a 100% rise
+                    changePercent: before === 0 ? (after === 0 ? 0 : 100) : change / Math.abs(before) * 100
+                };
+            })
+            .filter(row => Math.abs(row.changePercent) > thresholdPercent)
+            .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+    }
+}
+
+// Export for use in other modules
+window.PayrollAnalytics = PayrollAnalytics;
@@ -0,0 +1,350 @@
+/**
+ * Payroll Engine
+ * Computes a month's salary slips from per-teacher pay masters and configured
+ * rates (DA %, HRA %, CLA, professional tax slabs, PF %), producing the same
+ * record fields as an imported paysheet so the two can be compared. Pay heads the
+ * engine does not compute are taken as fixed monthly amounts from the pay master.
+ */
+
+class PayrollEngine {
+    /**
+     * @param {Object} rates - Overrides for PayrollEngine.DEFAULT_RATES
+     * @param {PayHeads} payHeads - Pay head catalog; the built-in heads when omitted
+     */
+    constructor(rates = {}, payHeads = null) {
+        this.rates = { ...PayrollEngine.DEFAULT_RATES, ...rates };
+        this.payHeads = payHeads || new PayHeads();
+    }
+
+    /**
+     * Default rates (7th Pay Commission DA, Maharashtra professional tax)
+     */
+    static get DEFAULT_RATES() {
+        return {
+            daPercent: 150,
+            hraPercent: 30,
+            cla: 240,
+            pfPercent: 12,
+            // PF is charged on basic + DA up to this wage; 0 means no ceiling
+            pfWageCeiling: 15000,
+            ewFund: 100,
+            // Monthly gross up to `upTo` pays `amount`; the last slab has no upper limit
+            professionalTaxSlabs: [
+                { upTo: 7500, amount: 0 },
+                { upTo: 10000, amount: 175 },
+                { upTo: null, amount: 200, februaryAmount: 300 }
+            ]
+        };
+    }
+
+    /**
+     * Pay master fields kept per teacher in payMasters/{teacherId}
+     */
+    static get MASTER_FIELDS() {
+        return [
+            'teacherId', 'teacherName', 'designation', 'department', 'qualification', 'pan', 'uan',
+            'payScale', 'payBand', 'agp', 'revisedBasicPay', 'addAllowance',
+            'incomeTax', 'lic', 'medicalInsurance', 'pfApplicable'
+        ];
+    }
+
+    /**
+     * Heads computed from rates rather than read from the pay master
+     */
+    static get COMPUTED_HEADS() {
+        return ['da150', 'hra30', 'cla', 'profTax', 'pf', 'ewFund'];
+    }
+
+    /**
+     * Heads whose monthly amount is kept on the pay master
+     * @param {PayHeads} payHeads - Pay head catalog
+     */
+    static masterHeads(payHeads) {
+        return payHeads.heads
+            .map(head => head.id)
+            .filter(id => !PayrollEngine.COMPUTED_HEADS.includes(id));
+    }
+
+    /**
+     * Amount fields compared against an uploaded paysheet, in slip order
+     * @returns {Array} [field, label] pairs
+     */
+    getComparedFields() {
+        return [
+            ...this.payHeads.earnings().map(head => [head.id, head.name]),
+            ['grossTotal', 'Gross Total'],
+            ...this.payHeads.deductions().map(head => [head.id, head.name]),
+            ['totalDeductions', 'Total Deductions'],
+            ['netPay', 'Net Pay']
+        ];
+    }
+
+    /**
+     * Round to the nearest rupee, as the paysheet does
+     * @param {number} amount - Amount
+     */
+    round(amount) {
+        return Math.round(amount);
+    }
+
+    /**
+     * Professional tax for a month's gross
+     * @param {number} gross - Monthly gross
+     * @param {string} monthNum - Two-digit month number
+     */
+    computeProfessionalTax(gross, monthNum) {
+        const slab = this.rates.professionalTaxSlabs.find(s => s.upTo === null || s.upTo === undefined || gross <= s.upTo);
+        if (!slab) return 0;
+        if (monthNum === '02' && slab.februaryAmount !== undefined) {
+            return slab.februaryAmount;
+        }
+        return slab.amount;
+    }
+
+    /**
+     * Employee PF contribution
+     * @param {number} basic - Basic pay
+     * @param {number} da - Dearness allowance
+     */
+    computeProvidentFund(basic, da) {
+        const ceiling = this.rates.pfWageCeiling;
+        const wage = ceiling > 0 ? Math.min(basic + da, ceiling) : basic + da;
+        return this.round(wage * this.rates.pfPercent / 100);
+    }
+
+    /**
+     * Compute one teacher's slip for a month
+     * @param {Object} master - Pay master (see MASTER_FIELDS)
+     * @param {string} month - Month name
+     * @param {string} year - Year
+     * @param {string} monthNum - Two-digit month number
+     * @returns {Object} Record with the same fields as an imported paysheet row
+     */
+    computeRecord(master, month, year, monthNum) {
+        // A teacher leaving during the month is paid earnings for the days up to their
+        // last working day (see StaffLifecycle.applyToMasters); deductions stay whole
+        const prorated = master.payableDays !== undefined && master.daysInMonth > 0 && master.payableDays < master.daysInMonth;
+        const factor = prorated ? master.payableDays / master.daysInMonth : 1;
+
+        const amounts = {};
+        PayrollEngine.masterHeads(this.payHeads).forEach(id => {
+            const head = this.payHeads.get(id);
+            const amount = Number(master[id]) || 0;
+            amounts[id] = prorated && head && head.type === 'earning' ? this.round(amount * factor) : amount;
+        });
+
+        const basic = this.round((Number(master.revisedBasicPay) || 0) * factor);
+        const computed = {
+            da150: this.round(basic * this.rates.daPercent / 100),
+            hra30: this.round(basic * this.rates.hraPercent / 100),
+            cla: this.round((Number(this.rates.cla) || 0) * factor),
+            ewFund: Number(this.rates.ewFund) || 0
+        };
+        computed.pf = master.pfApplicable === false ? 0 : this.computeProvidentFund(basic, computed.da150);
+
+        // Only heads in the catalog appear on the slip; deactivating D.A. drops it from the gross too
+        Object.keys(computed).forEach(id => {
+            if (this.payHeads.get(id)) amounts[id] = computed[id];
+        });
+
+        const grossTotal = this.payHeads.totalEarnings(amounts);
+        if (this.payHeads.get('profTax')) {
+            amounts.profTax = this.computeProfessionalTax(grossTotal, monthNum);
+        }
+        const totalDeductions = this.payHeads.totalDeductions(amounts);
+        const netPay = grossTotal - totalDeductions;
+
+        return {
+            id: `${master.teacherId}_${month}_${year}`,
+            teacherId: master.teacherId,
+            teacherName: master.teacherName || '',
+            designation: master.designation || '',
+            department: master.department || '',
+            qualification: master.qualification || '',
+            pan: master.pan || '',
+            uan: master.uan || '',
+
+            payScale: master.payScale || '',
+            payBand: master.payBand || '',
+            agp: Number(master.agp) || 0,
+
+            ...amounts,
+            grossTotal,
+            totalDeductions,
+            netPay,
+            ...(prorated ? { payableDays: master.payableDays, daysInMonth: master.daysInMonth } : {}),
+
+            // Legacy fields for compatibility
+            basicSalary: basic,
+            da: amounts.da150 || 0,
+            hra: amounts.hra30 || 0,
+            allowances: amounts.addAllowance || 0,
+            grossSalary: grossTotal,
+
+            payDate: new Date().toISOString().split('T')[0],
+            month,
+            year,
+            monthNum,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compute every teacher's slip for a month
+     * @param {Object} masters - Pay masters keyed by teacher ID
+     * @param {string} month - Month name
+     * @param {string} year - Year
+     * @param {string} monthNum - Two-digit month number
+     * @returns {Array} Records sorted by teacher ID
+     */
+    runMonth(masters, month, year, monthNum) {
+        return Object.values(masters || {})
+            .filter(master => master && master.teacherId)
+            .sort((a, b) => a.teacherId.toString().localeCompare(b.teacherId.toString(), undefined, { numeric: true }))
+            .map(master => this.computeRecord(master, month, year, monthNum));
+    }
+
+    /**
+     * Arrears of a retrospective revision: for every month of the period, the slip
+     * under these (revised) rates and revised masters minus the slip that was paid
+     * @param {PayrollEngine} paid - Engine with the rates the period was paid at
+     * @param {Array} periods - [{month, year, monthNum, masters, revisedMasters}] for each
+     *   month of the period; masters as paid, revisedMasters (when given) with back-dated
+     *   changes to designation or pay (see TeacherHistory.applyToMasters)
+     * @param {string} month - Month the arrears are paid with
+     * @param {string} year - Year the arrears are paid with
+     * @param {string} monthNum - Two-digit month number
+     * @returns {Array} Arrears records sorted by teacher ID, only for teachers who are owed something
+     */
+    computeArrears(paid, periods, month, year, monthNum) {
+        const totals = {};
+
+        periods.forEach(period => {
+            const revisedMasters = period.revisedMasters || period.masters;
+            this.runMonth(revisedMasters, period.month, period.year, period.monthNum).forEach(revised => {
+                const original = paid.computeRecord(period.masters[revised.teacherId], period.month, period.year, period.monthNum);
+                const entry = totals[revised.teacherId] || (totals[revised.teacherId] = {
+                    master: revisedMasters[revised.teacherId],
+                    amounts: {},
+                    months: []
+                });
+
+                // Later months win for identity fields such as designation
+                entry.master = revisedMasters[revised.teacherId];
+                entry.months.push(`${period.month} ${period.year}`);
+                this.getComparedFields().forEach(([field]) => {
+                    entry.amounts[field] = (entry.amounts[field] || 0) + (revised[field] || 0) - (original[field] || 0);
+                });
+            });
+        });
+
+        return Object.keys(totals)
+            .filter(teacherId => Object.values(totals[teacherId].amounts).some(amount => amount !== 0))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(teacherId => {
+                const { master, amounts, months } = totals[teacherId];
+                return {
+                    id: `${teacherId}_${month}_${year}`,
+                    teacherId,
+                    teacherName: master.teacherName || '',
+                    designation: master.designation || '',
+                    department: master.department || '',
+                    qualification: master.qualification || '',
+                    pan: master.pan || '',
+                    uan: master.uan || '',
+
+                    payScale: master.payScale || '',
+                    payBand: master.payBand || '',
+                    agp: Number(master.agp) || 0,
+
+                    ...amounts,
+
+                    // Legacy fields for compatibility
+                    basicSalary: amounts.revisedBasicPay || 0,
+                    da: amounts.da150 || 0,
+                    hra: amounts.hra30 || 0,
+                    allowances: amounts.addAllowance || 0,
+                    grossSalary: amounts.grossTotal,
+
+                    arrearsFrom: months[0],
+                    arrearsTo: months[months.length - 1],
+                    arrearsMonths: months.length,
+
+                    payDate: new Date().toISOString().split('T')[0],
+                    month,
+                    year,
+                    monthNum,
+                    createdAt: new Date().toISOString()
+                };
+            });
+    }
+
+    /**
+     * Compare computed records with an uploaded paysheet
+     * @param {Array} computed - Records from runMonth
+     * @param {Object} uploadedRecords - Paysheet records keyed by teacher ID
+     * @returns {{matched: number, mismatched: Array, missingInSheet: Array, missingInMasters: Array}}
+     */
+    compareWithPaysheet(computed, uploadedRecords) {
+        const uploaded = uploadedRecords || {};
+        const result = { matched: 0, mismatched: [], missingInSheet: [], missingInMasters: [] };
+        const computedIds = new Set();
+
+        computed.forEach(record => {
+            computedIds.add(record.teacherId);
+            const sheetRecord = uploaded[record.teacherId];
+            if (!sheetRecord) {
+                result.missingInSheet.push({ teacherId: record.teacherId, teacherName: record.teacherName });
+                return;
+            }
+
+            const differences = this.getComparedFields()
+                .filter(([field]) => Math.abs((record[field] || 0) - (sheetRecord[field] || 0)) > 0.5)
+                .map(([field, label]) => ({
+                    field,
+                    label,
+                    computed: record[field] || 0,
+                    uploaded: sheetRecord[field] || 0
+                }));
+
+            if (differences.length > 0) {
+                result.mismatched.push({ teacherId: record.teacherId, teacherName: record.teacherName, differences });
+            } else {
+                result.matched++;
+            }
+        });
+
+        Object.keys(uploaded).forEach(teacherId => {
+            if (!computedIds.has(teacherId)) {
+                result.missingInMasters.push({ teacherId, teacherName: uploaded[teacherId].teacherName });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Build pay masters from an imported paysheet, as a starting point for the engine
+     * @param {Object} paysheet - Paysheet node
+     * @param {PayHeads} payHeads - Pay head catalog, for the fixed amounts of custom heads
+     * @returns {Object} Pay masters keyed by teacher ID
+     */
+    static mastersFromPaysheet(paysheet, payHeads = new PayHeads()) {
+        const masters = {};
+        Object.values((paysheet && paysheet.records) || {}).forEach(record => {
+            if (!record || !record.teacherId) return;
+
+            const master = {};
+            [...PayrollEngine.MASTER_FIELDS, ...PayrollEngine.masterHeads(payHeads)].forEach(field => {
+                if (record[field] !== undefined) master[field] = record[field];
+            });
+            master.revisedBasicPay = record.revisedBasicPay || record.basicSalary || 0;
+            master.pfApplicable = (record.pf || 0) > 0;
+            masters[record.teacherId] = master;
+        });
+        return masters;
+    }
+}
+
+// Export for use in other modules
+window.PayrollEngine = PayrollEngine;
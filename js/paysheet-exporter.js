@@ -0,0 +1,187 @@
+/**
+ * Paysheet Exporter
+ * Renders every record of a monthly paysheet as its own salary slip PDF, or
+ * every teacher's annual statement for a financial year, and bundles them into
+ * a single ZIP archive with a manifest CSV (JSZip)
+ */
+
+class PaysheetExporter {
+    constructor(options = {}) {
+        this.renderer = options.renderer || new SalarySlipPDF(options);
+    }
+
+    /**
+     * Quote a value for CSV output (RFC 4180)
+     * @param {*} value - Cell value
+     */
+    static csvEscape(value) {
+        const text = value === undefined || value === null ? '' : value.toString();
+        if (/[",\r\n]/.test(text)) {
+            return '"' + text.replace(/"/g, '""') + '"';
+        }
+        return text;
+    }
+
+    /**
+     * Build the manifest CSV listing every slip in the archive
+     * @param {Array} entries - [{teacherId, teacherName, netPay, fileName}]
+     */
+    buildManifest(entries) {
+        const lines = [['teacherId', 'name', 'netPay', 'fileName']];
+        entries.forEach(entry => {
+            lines.push([entry.teacherId, entry.teacherName, (entry.netPay || 0).toFixed(2), entry.fileName]);
+        });
+        return lines.map(row => row.map(PaysheetExporter.csvEscape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Archive name for a paysheet, e.g. Salary_Slips_July_2025.zip
+     * @param {Object} paysheet - Paysheet node
+     */
+    getArchiveName(paysheet) {
+        const run = PayRun.isSupplementary(paysheet) ? `_${PayRun.RUN_TYPES[paysheet.runType]}_${paysheet.sequence || 1}` : '';
+        return `Salary_Slips_${paysheet.month}_${paysheet.year}${run}.zip`.replace(/\s+/g, '_');
+    }
+
+    /**
+     * Render all slips of a paysheet into a ZIP archive
+     * @param {Object} paysheet - Paysheet node ({month, year, records})
+     * @param {Function} onProgress - Called with (done, total) after each slip
+     * @returns {Promise<Object>} {blob, fileName, count, manifest}
+     */
+    async exportPaysheet(paysheet, onProgress = null) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP library not loaded');
+        }
+        if (!paysheet || !paysheet.records) {
+            throw new Error('Paysheet has no records to export');
+        }
+
+        // Sort by teacher ID so the archive layout does not depend on database order
+        const records = Object.values(paysheet.records)
+            .filter(record => record && record.teacherId)
+            .sort((a, b) => a.teacherId.toString().localeCompare(b.teacherId.toString(), undefined, { numeric: true }));
+
+        if (records.length === 0) {
+            throw new Error('Paysheet has no records to export');
+        }
+
+        const zip = new JSZip();
+        const usedNames = new Set();
+        const entries = [];
+
+        for (let i = 0; i < records.length; i++) {
+            const record = {
+                ...records[i],
+                month: records[i].month || paysheet.month,
+                year: records[i].year || paysheet.year,
+                monthNum: records[i].monthNum || paysheet.monthNum,
+                runType: records[i].runType || paysheet.runType,
+                sequence: records[i].sequence || paysheet.sequence
+            };
+            const slip = SalarySlipPDF.normalizeRecord(record);
+
+            let fileName = SalarySlipPDF.getFileName(slip);
+            for (let n = 2; usedNames.has(fileName); n++) {
+                fileName = SalarySlipPDF.getFileName(slip).replace(/\.pdf$/, `_${n}.pdf`);
+            }
+            usedNames.add(fileName);
+
+            const blob = await this.renderer.toBlob(record);
+            zip.file(fileName, blob, { date: SalarySlipPDF.getDocumentDate(slip) });
+
+            entries.push({
+                teacherId: slip.teacherId,
+                teacherName: slip.teacherName,
+                netPay: slip.netPay,
+                fileName
+            });
+
+            if (onProgress) onProgress(i + 1, records.length);
+        }
+
+        const manifest = this.buildManifest(entries);
+        zip.file('manifest.csv', manifest, {
+            date: SalarySlipPDF.getDocumentDate(SalarySlipPDF.normalizeRecord(paysheet))
+        });
+
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        console.log(`✅ Exported ${entries.length} salary slips for ${PayRun.getTitle(paysheet)}`);
+
+        return {
+            blob,
+            fileName: this.getArchiveName(paysheet),
+            count: entries.length,
+            manifest
+        };
+    }
+
+    /**
+     * Render annual statements of one financial year into a ZIP archive
+     * @param {Array} statements - Statements from AnnualStatement.buildAll
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {Function} onProgress - Called with (done, total) after each statement
+     * @returns {Promise<Object>} {blob, fileName, count, manifest}
+     */
+    async exportAnnualStatements(statements, startYear, onProgress = null) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP library not loaded');
+        }
+        if (statements.length === 0) {
+            throw new Error('No published slips in this financial year');
+        }
+
+        const label = AnnualStatement.getLabel(startYear);
+        const date = new Date(Date.UTC(startYear + 1, 2, 31));
+        const zip = new JSZip();
+        const entries = [];
+
+        for (let i = 0; i < statements.length; i++) {
+            const statement = statements[i];
+            const fileName = SalarySlipPDF.getAnnualFileName(statement);
+            const doc = await this.renderer.generateAnnualStatement(statement);
+            zip.file(fileName, doc.output('blob'), { date });
+
+            entries.push({
+                teacherId: statement.teacherId,
+                teacherName: statement.teacherName,
+                netPay: statement.totals.netPay,
+                fileName
+            });
+
+            if (onProgress) onProgress(i + 1, statements.length);
+        }
+
+        const manifest = this.buildManifest(entries);
+        zip.file('manifest.csv', manifest, { date });
+
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        console.log(`✅ Exported ${entries.length} annual statements for FY ${label}`);
+
+        return {
+            blob,
+            fileName: `Annual_Statements_FY_${label.replace('-', '_')}.zip`,
+            count: entries.length,
+            manifest
+        };
+    }
+
+    /**
+     * Trigger a browser download for a generated file
+     * @param {Blob} blob - File content
+     * @param {string} fileName - Download name
+     */
+    static saveBlob(blob, fileName) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+window.PaysheetExporter = PaysheetExporter;
@@ -4,9 +4,16 @@
  */
 
 class PaysheetImporter {
-    constructor() {
+    /**
+     * @param {PayHeads} payHeads - Earning and deduction heads; the built-in catalog when omitted
+     */
+    constructor(payHeads = null) {
+        this.payHeads = payHeads || new PayHeads();
         this.supportedFormats = ['.csv', '.xlsx', '.xls'];
         this.firebaseDB = null;
+        this.rowLineNumbers = [];
+        this.recordLineNumbers = [];
+        this.skippedRows = [];
     }
 
     /**
@@ -17,22 +24,45 @@ class PaysheetImporter {
     }
 
     /**
-     * Parse CSV file content
+     * Parse CSV file content (RFC 4180, delimiter auto-detected)
      * @param {string} csvContent - Raw CSV content
+     * @throws {CSVParseError} With the offending line number on malformed input
      */
     parseCSV(csvContent) {
-        const lines = csvContent.split('\n');
-        const result = [];
+        const { rows, lineNumbers, delimiter } = CSVParser.parse(csvContent);
         
-        for (let line of lines) {
-            if (line.trim()) {
-                // Simple CSV parsing - handles basic cases
-                const row = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
-                result.push(row);
-            }
-        }
+        // Source line of each row, for error reports on files with embedded newlines
+        this.rowLineNumbers = lineNumbers;
+        console.log(`📋 Parsed ${rows.length} CSV rows (delimiter: ${JSON.stringify(delimiter)})`);
         
-        return result;
+        return rows;
+    }
+
+    /**
+     * Text value of a cell, empty when the column is unmapped
+     * @param {Array} row - Parsed row
+     * @param {number} index - Column index
+     */
+    cellText(row, index) {
+        if (index === undefined || row[index] === undefined || row[index] === null) return '';
+        return row[index].toString().trim();
+    }
+
+    /**
+     * Parse an amount cell such as "1,23,456", "₹ 12,500.50" or "(250)"
+     * @param {*} value - Cell value
+     */
+    parseAmount(value) {
+        if (typeof value === 'number') return value;
+        if (value === undefined || value === null) return 0;
+
+        let text = value.toString().trim();
+        const negative = /^\(.*\)$/.test(text);
+        text = text.replace(/^\(|\)$/g, '').replace(/₹|rs\.?|inr/gi, '').replace(/[,\s]/g, '');
+
+        const amount = parseFloat(text);
+        if (isNaN(amount)) return 0;
+        return negative ? -amount : amount;
     }
 
     /**
@@ -47,6 +77,7 @@ class PaysheetImporter {
             
             // Convert to array of arrays (same format as CSV)
             const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+            this.rowLineNumbers = jsonData.map((row, index) => index + 1);
             
             return jsonData;
         } catch (error) {
@@ -54,6 +85,268 @@ class PaysheetImporter {
         }
     }
 
+    /**
+     * Slip fields that are not pay heads. Patterns are matched against headers
+     * normalized to lowercase letters and digits, so "Name of Staff" becomes "nameofstaff".
+     */
+    static get FIELDS() {
+        return [
+            { field: 'teacherId', label: 'Teacher ID', required: true, amount: false,
+                patterns: [/^(teacher|emp|employee|staff)(id|no|code|number)$/, /^id$/, /^empno$/] },
+            { field: 'teacherName', label: 'Teacher Name', required: true, amount: false,
+                patterns: [/^nameof(the)?(staff|teacher|employee)$/, /^(staff|teacher|employee|full)?name$/] },
+            { field: 'designation', label: 'Designation', amount: false, patterns: [/^designation$/, /^post$/] },
+            { field: 'department', label: 'Department', amount: false, patterns: [/^(department|dept)$/] },
+            { field: 'qualification', label: 'Qualification', amount: false, patterns: [/^qualification/] },
+            { field: 'pan', label: 'PAN', amount: false, patterns: [/^pan(no|number)?$/] },
+            { field: 'uan', label: 'UAN', amount: false, patterns: [/^(pf)?uan(no|number)?$/] },
+            { field: 'payScale', label: 'Pay Scale', amount: false, patterns: [/^payscale$/] },
+            { field: 'payBand', label: 'Pay Band', amount: false, patterns: [/^payband$/, /^payinband$/] },
+            { field: 'agp', label: 'A.G.P', amount: true, patterns: [/^agp$/, /^(academic)?gradepay$/] },
+            { field: 'grossTotal', label: 'Gross Total', amount: true, patterns: [/^gross(total|salary|pay)?$/] },
+            { field: 'totalDeductions', label: 'Total Deductions', amount: true, patterns: [/^(total)?deductions?$/] },
+            { field: 'netPay', label: 'Net Pay', required: true, amount: true,
+                patterns: [/^net(pay|salary|amount|payable)?$/] }
+        ];
+    }
+
+    /**
+     * All fields that sheet columns can be mapped to, in slip order: identity and
+     * pay structure, earning heads, gross, deduction heads, total deductions, net pay
+     */
+    getFields() {
+        const base = PaysheetImporter.FIELDS;
+        const byField = field => base.find(entry => entry.field === field);
+        // A head matches its name or any alias, optionally followed by a rate ("D.A. 153%" → "da153")
+        const headField = head => ({
+            field: head.id,
+            label: head.name,
+            amount: true,
+            patterns: [head.name, ...head.aliases]
+                .map(alias => this.normalizeHeader(alias))
+                .filter(Boolean)
+                .map(alias => new RegExp(`^${alias}s?\\d*$`))
+        });
+
+        return [
+            ...base.filter(({ field }) => !['grossTotal', 'totalDeductions', 'netPay'].includes(field)),
+            ...this.payHeads.earnings().map(headField),
+            byField('grossTotal'),
+            ...this.payHeads.deductions().map(headField),
+            byField('totalDeductions'),
+            byField('netPay')
+        ];
+    }
+
+    /**
+     * Normalize a header for matching: lowercase letters and digits only
+     * @param {*} header - Header cell
+     */
+    normalizeHeader(header) {
+        return (header === undefined || header === null ? '' : header.toString())
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Detect which sheet column holds each paysheet field
+     * @param {Array} headers - Header row
+     * @returns {Object} Map of field name to column index
+     */
+    detectColumnMapping(headers) {
+        const columnMap = {};
+        const normalizedHeaders = headers.map(header => this.normalizeHeader(header));
+
+        this.getFields().forEach(({ field, patterns }) => {
+            for (const pattern of patterns) {
+                const index = normalizedHeaders.findIndex((header, i) =>
+                    pattern.test(header) && !Object.values(columnMap).includes(i)
+                );
+                if (index !== -1) {
+                    columnMap[field] = index;
+                    break;
+                }
+            }
+        });
+
+        return columnMap;
+    }
+
+    /**
+     * Build a column map from a saved template, which stores header names
+     * so that it keeps working when columns move between months
+     * @param {Object} template - Saved template ({mapping: {field: headerText}})
+     * @param {Array} headers - Header row
+     * @returns {{columnMap: Object, missingHeaders: Array}}
+     */
+    applyTemplate(template, headers) {
+        const columnMap = {};
+        const missingHeaders = [];
+        const normalizedHeaders = headers.map(header => this.normalizeHeader(header));
+
+        Object.entries(template.mapping || {}).forEach(([field, header]) => {
+            const index = normalizedHeaders.indexOf(this.normalizeHeader(header));
+            if (index === -1) {
+                missingHeaders.push(header);
+            } else {
+                columnMap[field] = index;
+            }
+        });
+
+        return { columnMap, missingHeaders };
+    }
+
+    /**
+     * Convert a column map to the header-name form stored in templates
+     * @param {Object} columnMap - Map of field name to column index
+     * @param {Array} headers - Header row
+     */
+    toTemplateMapping(columnMap, headers) {
+        const mapping = {};
+        Object.entries(columnMap).forEach(([field, index]) => {
+            if (headers[index] !== undefined) {
+                mapping[field] = headers[index].toString();
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Required fields that are not mapped to any column
+     * @param {Object} columnMap - Map of field name to column index
+     */
+    getMissingRequiredFields(columnMap) {
+        return this.getFields()
+            .filter(({ field, required }) => required && columnMap[field] === undefined)
+            .map(({ label }) => label);
+    }
+
+    /**
+     * Check every record before it is written: totals must reconcile with their
+     * components, net pay must not be negative and teacher IDs must be present and unique.
+     * Arithmetic problems can be overridden by the admin; ID problems cannot,
+     * because records are stored under their teacher ID. Rows too short to read
+     * (processDataForLocalStorage's skippedRows) are reported as warnings.
+     * @param {Array} records - Records from processDataForLocalStorage
+     * @param {Object} columnMap - Map of field name to column index
+     * @returns {{rows: Array, blockingCount: number, warningCount: number}}
+     */
+    validateRecords(records, columnMap) {
+        // Rows processDataForLocalStorage could not read are listed first, by line
+        const skipped = this.skippedRows.map(row => ({
+            line: row.line,
+            teacherId: row.teacherId,
+            teacherName: row.teacherName,
+            issues: [{ message: `Row has only ${row.cellCount} filled cell(s) and was not imported`, blocking: false }]
+        }));
+
+        const earnings = this.payHeads.earnings().map(head => head.id);
+        const deductions = this.payHeads.deductions().map(head => head.id);
+        const mapped = field => columnMap[field] !== undefined;
+        const sum = (record, fields) => fields.reduce((total, field) => total + record[field], 0);
+        // Sheets round each cell to the rupee, so allow for half a rupee of drift
+        const differs = (a, b) => Math.abs(a - b) > 0.5;
+        const amount = value => value.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+        const firstLineById = {};
+        const rows = [];
+        let blockingCount = 0;
+        let warningCount = skipped.length;
+
+        records.forEach((record, index) => {
+            const line = this.recordLineNumbers[index] || index + 2;
+            const issues = [];
+            const addIssue = (message, blocking = false) => {
+                issues.push({ message, blocking });
+                if (blocking) blockingCount++; else warningCount++;
+            };
+
+            if (!record.teacherId) {
+                addIssue('Teacher ID is missing', true);
+            } else if (firstLineById[record.teacherId] !== undefined) {
+                const linked = record.sheetTeacherId ? `, linked from ${record.sheetTeacherId}` : '';
+                addIssue(`Duplicate Teacher ID ${record.teacherId}${linked} (first seen on line ${firstLineById[record.teacherId]})`, true);
+            } else {
+                firstLineById[record.teacherId] = line;
+            }
+
+            const mappedEarnings = earnings.filter(mapped);
+            if (mapped('grossTotal') && mappedEarnings.length > 0) {
+                const expected = sum(record, mappedEarnings);
+                if (differs(record.grossTotal, expected)) {
+                    addIssue(`Gross Total ${amount(record.grossTotal)} does not match sum of earnings ${amount(expected)}`);
+                }
+            }
+
+            const mappedDeductions = deductions.filter(mapped);
+            if (mapped('totalDeductions') && mappedDeductions.length > 0) {
+                const expected = sum(record, mappedDeductions);
+                if (differs(record.totalDeductions, expected)) {
+                    addIssue(`Total Deductions ${amount(record.totalDeductions)} does not match sum of deductions ${amount(expected)}`);
+                }
+            }
+
+            if (mapped('grossTotal') && mapped('totalDeductions')) {
+                const expected = record.grossTotal - record.totalDeductions;
+                if (differs(record.netPay, expected)) {
+                    addIssue(`Net Pay ${amount(record.netPay)} does not match Gross Total minus Total Deductions ${amount(expected)}`);
+                }
+            }
+
+            if (record.netPay < 0) {
+                addIssue(`Net Pay is negative (${amount(record.netPay)})`);
+            }
+
+            if (issues.length > 0) {
+                rows.push({ line, teacherId: record.teacherId, teacherName: record.teacherName, issues });
+            }
+        });
+
+        rows.push(...skipped);
+        rows.sort((a, b) => a.line - b.line);
+        return { rows, blockingCount, warningCount };
+    }
+
+    /**
+     * Compare the records of an existing paysheet with a new import
+     * @param {Object} existingRecords - Stored records keyed by teacher ID
+     * @param {Object} incomingRecords - Imported records keyed by teacher ID
+     * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number}}
+     */
+    diffRecords(existingRecords, incomingRecords) {
+        const diff = { added: [], removed: [], changed: [], unchangedCount: 0 };
+
+        Object.keys(incomingRecords).forEach(teacherId => {
+            const incoming = incomingRecords[teacherId];
+            const existing = existingRecords[teacherId];
+            if (!existing) {
+                diff.added.push({ teacherId, teacherName: incoming.teacherName });
+                return;
+            }
+
+            const changes = this.getFields()
+                .filter(({ field }) => field !== 'teacherId')
+                .filter(({ field, amount }) => amount
+                    ? Math.abs((existing[field] || 0) - (incoming[field] || 0)) > 0.005
+                    : (existing[field] || '') !== (incoming[field] || ''))
+                .map(({ field, label }) => ({ field, label, from: existing[field], to: incoming[field] }));
+
+            if (changes.length > 0) {
+                diff.changed.push({ teacherId, teacherName: incoming.teacherName, changes });
+            } else {
+                diff.unchangedCount++;
+            }
+        });
+
+        Object.keys(existingRecords).forEach(teacherId => {
+            if (!incomingRecords[teacherId]) {
+                diff.removed.push({ teacherId, teacherName: existingRecords[teacherId].teacherName });
+            }
+        });
+
+        return diff;
+    }
+
     /**
      * Validate paysheet data format
      * @param {Array} data - Parsed data array
@@ -109,134 +402,115 @@ class PaysheetImporter {
      * @param {File} file - File object from input
      * @param {string} month - Month name
      * @param {string} year - Year
+     * @param {Object} options - {columnMap, allowInvalid, mode, importedBy, canSendBack, runType, sequence, description, aliases}
+     *   allowInvalid imports despite arithmetic warnings; mode ('replace' | 'merge') is
+     *   required when the month already has data, otherwise a diff is returned instead.
+     *   runType other than 'regular' imports into supplementary run `sequence` of the month.
+     *   aliases (the teacherIdAliases node) re-keys rows whose sheet ID is linked to a teacher.
      */
-    async importPaysheetFile(file, month, year) {
+    async importPaysheetFile(file, month, year, options = {}) {
         try {
-            const fileContent = await this.readFile(file);
-            let parsedData;
-
-            if (file.name.toLowerCase().endsWith('.csv')) {
-                parsedData = this.parseCSV(fileContent);
-            } else if (file.name.toLowerCase().endsWith('.xlsx') || file.name.toLowerCase().endsWith('.xls')) {
-                parsedData = this.parseExcel(fileContent);
-            } else {
-                throw new Error('Unsupported file format. Please use CSV or Excel files (.csv, .xlsx, .xls).');
-            }
+            const parsedData = await this.parseFile(file);
 
             // Validate data format
             this.validatePaysheetData(parsedData);
 
-            // Save to Firebase database
-            try {
-                // Initialize Firebase if not already initialized
-                if (!firebase.apps.length) {
-                    firebase.initializeApp(firebaseConfig);
-                }
-                
-                const firebaseDB = new FirebaseDB();
-                
-                // Create paysheet data structure
-                const paysheetKey = `${month}_${year}`;
-                const processedData = this.processDataForLocalStorage(parsedData, month, year);
-                const paysheetData = {
-                    month,
-                    year,
-                    monthNum: this.getMonthNumber(month),
-                    importDate: new Date().toISOString(),
-                    records: {},
-                    summary: {
-                        totalRecords: processedData.length,
-                        totalGross: processedData.reduce((sum, record) => sum + record.grossSalary, 0),
-                        totalDeductions: processedData.reduce((sum, record) => sum + record.totalDeductions, 0),
-                        totalNet: processedData.reduce((sum, record) => sum + record.netPay, 0)
-                    }
+            const columnMap = options.columnMap || this.detectColumnMapping(parsedData[0]);
+            const missingFields = this.getMissingRequiredFields(columnMap);
+            if (missingFields.length > 0) {
+                throw new Error(`Required columns not mapped: ${missingFields.join(', ')}`);
+            }
+
+            let processedData = this.processDataForLocalStorage(parsedData, month, year, columnMap);
+            if (options.aliases) {
+                processedData = PaysheetReconciliation.applyAliases(processedData, options.aliases);
+            }
+
+            // Nothing is written while rows fail validation, unless the admin overrides the warnings
+            const validation = this.validateRecords(processedData, columnMap);
+            if (validation.blockingCount > 0 || (validation.warningCount > 0 && !options.allowInvalid)) {
+                console.warn('⚠️ Paysheet validation failed:', validation);
+                return {
+                    success: false,
+                    message: `${validation.rows.length} row(s) failed validation. Nothing was imported.`,
+                    data: null,
+                    validation
                 };
-                
-                // Convert records array to object with teacherId as key
-                processedData.forEach(record => {
-                    paysheetData.records[record.teacherId] = record;
+            }
+
+            const firebaseDB = this.firebaseDB || new FirebaseDB();
+            if (!firebaseDB.initialized && !(await firebaseDB.initialize())) {
+                throw new Error('Could not connect to the database. Nothing was imported.');
+            }
+
+            const runType = options.runType || 'regular';
+            const sequence = Number(options.sequence) || 1;
+            const paysheetKey = PayRun.buildKey(month, year, runType, sequence);
+            const paysheetData = {
+                month,
+                year,
+                monthNum: this.getMonthNumber(month),
+                importDate: new Date().toISOString(),
+                records: {},
+                validationWarningsOverridden: validation.warningCount
+            };
+            if (runType !== 'regular') {
+                Object.assign(paysheetData, {
+                    runType,
+                    sequence,
+                    baseRunId: PayRun.buildKey(month, year),
+                    description: (options.description || '').trim()
                 });
-                
-                // Save paysheet to Firebase
-                const paysheetRef = firebase.database().ref(`paysheets/${paysheetKey}`);
-                await paysheetRef.set(paysheetData);
-                
-                // Also save individual salary slips for each teacher
-                const salarySlipsRef = firebase.database().ref('salarySlips');
-                
-                for (const record of processedData) {
-                    const slipId = `${record.teacherId}_${month}_${year}`;
-                    const salarySlip = {
-                        id: slipId,
-                        teacherId: record.teacherId,
-                        teacherName: record.teacherName,
-                        month,
-                        year,
-                        monthNum: this.getMonthNumber(month),
-                        payDate: record.payDate,
-                        designation: record.designation,
-                        department: record.department,
-                        basicSalary: record.basicSalary,
-                        hra: record.hra,
-                        da: record.da,
-                        allowances: record.allowances,
-                        grossSalary: record.grossSalary,
-                        pf: record.pf,
-                        esi: record.esi,
-                        tax: record.tax,
-                        otherDeductions: record.otherDeductions,
-                        totalDeductions: record.totalDeductions,
-                        netPay: record.netPay,
-                        status: record.status || 'Generated',
-                        createdAt: new Date().toISOString(),
+            }
+            const title = PayRun.getTitle(paysheetData);
+            processedData.forEach(record => {
+                paysheetData.records[record.teacherId] = record;
+            });
+
+            // Re-importing a month needs an explicit replace or merge decision
+            const existing = await firebaseDB.getPaysheet(paysheetKey);
+            if (!PayRun.canImport(existing, options.canSendBack)) {
+                throw new Error(PayRun.importBlockedReason(existing));
+            }
+            if (existing && existing.records) {
+                const diff = this.diffRecords(existing.records, paysheetData.records);
+                const unchanged = diff.added.length === 0 && diff.changed.length === 0 &&
+                    (diff.removed.length === 0 || options.mode === 'merge');
+
+                if (unchanged) {
+                    return {
+                        success: true,
+                        unchanged: true,
+                        message: `${title} already matches this file. Nothing was changed.`,
+                        data: processedData,
                         paysheetId: paysheetKey
                     };
-                    
-                    await salarySlipsRef.child(slipId).set(salarySlip);
                 }
-                
-                console.log('✅ Paysheet data and salary slips saved to Firebase successfully');
-                
-                // Also save to localStorage as backup
-                const localPaysheetKey = `paysheet_${month}_${year}`;
-                localStorage.setItem(localPaysheetKey, JSON.stringify(paysheetData));
-                
-                return {
-                    success: true,
-                    message: `Successfully imported ${processedData.length} paysheet records to Firebase database`,
-                    data: processedData,
-                    paysheetId: paysheetKey
-                };
-                
-            } catch (error) {
-                console.error('Firebase import error:', error);
-                
-                // Fallback: Save to localStorage only
-                const paysheetKey = `paysheet_${month}_${year}`;
-                const processedData = this.processDataForLocalStorage(parsedData, month, year);
-                const paysheetData = {
-                    month,
-                    year,
-                    importDate: new Date().toISOString(),
-                    records: processedData,
-                    summary: {
-                        totalRecords: processedData.length,
-                        totalGross: processedData.reduce((sum, record) => sum + record.grossSalary, 0),
-                        totalDeductions: processedData.reduce((sum, record) => sum + record.totalDeductions, 0),
-                        totalNet: processedData.reduce((sum, record) => sum + record.netPay, 0)
-                    }
-                };
+                if (!options.mode) {
+                    return {
+                        success: false,
+                        message: `${title} has already been imported. Review the changes and choose Replace or Merge.`,
+                        data: null,
+                        diff
+                    };
+                }
+            }
 
-                localStorage.setItem(paysheetKey, JSON.stringify(paysheetData));
-                console.log('⚠️ Firebase failed, paysheet data saved to localStorage');
+            const result = await firebaseDB.commitPaysheetImport(paysheetKey, paysheetData, {
+                mode: options.mode,
+                importedBy: options.importedBy,
+                canSendBack: options.canSendBack
+            });
 
-                return {
-                    success: true,
-                    message: `Successfully imported ${processedData.length} paysheet records to local storage (Firebase backup failed)`,
-                    data: processedData,
-                    paysheetId: null
-                };
-            }
+            return {
+                success: true,
+                message: `Successfully imported ${result.recordCount} paysheet records for ${title}` +
+                    (result.removedCount > 0 ? ` (${result.removedCount} removed)` : '') +
+                    '. Teachers will see it once the pay run is published.',
+                data: processedData,
+                paysheetId: paysheetKey,
+                importId: result.importId
+            };
         } catch (error) {
             console.error('Error importing paysheet file:', error);
             return {
@@ -247,6 +521,23 @@ class PaysheetImporter {
         }
     }
 
+    /**
+     * Read and parse a CSV or Excel file into rows
+     * @param {File} file - File object
+     * @returns {Promise<Array>} Rows, header row first
+     */
+    async parseFile(file) {
+        const fileContent = await this.readFile(file);
+        const fileName = file.name.toLowerCase();
+
+        if (fileName.endsWith('.csv')) {
+            return this.parseCSV(fileContent);
+        } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+            return this.parseExcel(fileContent);
+        }
+        throw new Error('Unsupported file format. Please use CSV or Excel files (.csv, .xlsx, .xls).');
+    }
+
     /**
      * Read file content
      * @param {File} file - File object
@@ -270,131 +561,87 @@ class PaysheetImporter {
     }
 
     /**
-     * Process data for localStorage storage with exact Excel column mapping
+     * Process parsed rows into paysheet records using a column mapping
      * @param {Array} csvData - Parsed CSV data
      * @param {string} month - Month name
      * @param {string} year - Year
+     * @param {Object} columnMap - Map of field name to column index (detected when omitted)
      */
-    processDataForLocalStorage(csvData, month, year) {
+    processDataForLocalStorage(csvData, month, year, columnMap = null) {
         const processedData = [];
+        this.recordLineNumbers = [];
+        this.skippedRows = [];
         
         if (csvData.length < 2) return processedData;
         
-        // Get headers from first row and create column mapping
         const headers = csvData[0];
-        const columnMap = {};
-        
-        // Map exact Excel column headers to field names
-        headers.forEach((header, index) => {
-            const normalizedHeader = header.toString().toLowerCase().trim();
-            
-            // Map based on exact Excel column names from the image
-            if (normalizedHeader.includes('teacher') && normalizedHeader.includes('id')) {
-                columnMap.teacherId = index;
-            } else if (normalizedHeader.includes('name') && normalizedHeader.includes('staff')) {
-                columnMap.teacherName = index;
-            } else if (normalizedHeader.includes('designation')) {
-                columnMap.designation = index;
-            } else if (normalizedHeader.includes('qualification')) {
-                columnMap.qualification = index;
-            } else if (normalizedHeader.includes('pay scale') || normalizedHeader.includes('payscale')) {
-                columnMap.payScale = index;
-            } else if (normalizedHeader.includes('pay') && normalizedHeader.includes('band')) {
-                columnMap.payBand = index;
-            } else if (normalizedHeader.includes('a.g.p') || normalizedHeader.includes('agp')) {
-                columnMap.agp = index;
-            } else if (normalizedHeader.includes('revised') && normalizedHeader.includes('basic')) {
-                columnMap.revisedBasicPay = index;
-            } else if (normalizedHeader.includes('d.a') && normalizedHeader.includes('150')) {
-                columnMap.da150 = index;
-            } else if (normalizedHeader.includes('h.r.a') && normalizedHeader.includes('30')) {
-                columnMap.hra30 = index;
-            } else if (normalizedHeader.includes('c.l.a')) {
-                columnMap.cla = index;
-            } else if (normalizedHeader.includes('add') && normalizedHeader.includes('allowance')) {
-                columnMap.addAllowance = index;
-            } else if (normalizedHeader.includes('gross') && normalizedHeader.includes('total')) {
-                columnMap.grossTotal = index;
-            } else if (normalizedHeader.includes('prof') && normalizedHeader.includes('tax')) {
-                columnMap.profTax = index;
-            } else if (normalizedHeader.includes('income') && normalizedHeader.includes('tax')) {
-                columnMap.incomeTax = index;
-            } else if (normalizedHeader.includes('p.f') || normalizedHeader === 'pf') {
-                columnMap.pf = index;
-            } else if (normalizedHeader.includes('lic')) {
-                columnMap.lic = index;
-            } else if (normalizedHeader.includes('medical') && normalizedHeader.includes('insur')) {
-                columnMap.medicalInsurance = index;
-            } else if (normalizedHeader.includes('ew') && normalizedHeader.includes('fund')) {
-                columnMap.ewFund = index;
-            } else if (normalizedHeader.includes('total') && normalizedHeader.includes('deduction')) {
-                columnMap.totalDeductions = index;
-            } else if (normalizedHeader.includes('net') && normalizedHeader.includes('pay')) {
-                columnMap.netPay = index;
-            }
-        });
+        columnMap = columnMap || this.detectColumnMapping(headers);
         
         console.log('📋 Column mapping created:', columnMap);
-        console.log('📋 Excel headers:', headers);
+        console.log('📋 Sheet headers:', headers);
         
         // Process data rows using column mapping
         for (let i = 1; i < csvData.length; i++) {
             const row = csvData[i];
-            if (row.length < 3) continue; // Skip incomplete rows
+            // Blank lines are ignored; other short rows are reported by validateRecords
+            const cellCount = row.filter(cell => cell !== undefined && cell !== null && cell.toString().trim() !== '').length;
+            if (cellCount === 0) continue;
+            if (row.length < 3) {
+                this.skippedRows.push({
+                    line: this.rowLineNumbers[i] || i + 1,
+                    teacherId: this.cellText(row, columnMap.teacherId),
+                    teacherName: this.cellText(row, columnMap.teacherName),
+                    cellCount
+                });
+                continue;
+            }
 
             const record = {
                 // Basic info
-                id: `${row[columnMap.teacherId] || i}_${month}_${year}`,
-                teacherId: row[columnMap.teacherId] || '',
-                teacherName: row[columnMap.teacherName] || '',
-                designation: row[columnMap.designation] || '',
-                qualification: row[columnMap.qualification] || '',
+                id: `${this.cellText(row, columnMap.teacherId) || i}_${month}_${year}`,
+                teacherId: this.cellText(row, columnMap.teacherId),
+                teacherName: this.cellText(row, columnMap.teacherName),
+                designation: this.cellText(row, columnMap.designation),
+                department: this.cellText(row, columnMap.department),
+                qualification: this.cellText(row, columnMap.qualification),
+                pan: this.cellText(row, columnMap.pan).toUpperCase(),
+                uan: this.cellText(row, columnMap.uan),
                 
                 // Pay structure
-                payScale: row[columnMap.payScale] || '',
-                payBand: row[columnMap.payBand] || '',
-                agp: parseFloat(row[columnMap.agp]) || 0,
-                
-                // Earnings - using exact Excel column names
-                revisedBasicPay: parseFloat(row[columnMap.revisedBasicPay]) || 0,
-                da150: parseFloat(row[columnMap.da150]) || 0,
-                hra30: parseFloat(row[columnMap.hra30]) || 0,
-                cla: parseFloat(row[columnMap.cla]) || 0,
-                addAllowance: parseFloat(row[columnMap.addAllowance]) || 0,
-                grossTotal: parseFloat(row[columnMap.grossTotal]) || 0,
+                payScale: this.cellText(row, columnMap.payScale),
+                payBand: this.cellText(row, columnMap.payBand),
+                agp: this.parseAmount(row[columnMap.agp]),
                 
-                // Deductions - using exact Excel column names
-                profTax: parseFloat(row[columnMap.profTax]) || 0,
-                incomeTax: parseFloat(row[columnMap.incomeTax]) || 0,
-                pf: parseFloat(row[columnMap.pf]) || 0,
-                lic: parseFloat(row[columnMap.lic]) || 0,
-                medicalInsurance: parseFloat(row[columnMap.medicalInsurance]) || 0,
-                ewFund: parseFloat(row[columnMap.ewFund]) || 0,
-                totalDeductions: parseFloat(row[columnMap.totalDeductions]) || 0,
-                
-                // Net pay
-                netPay: parseFloat(row[columnMap.netPay]) || 0,
-                
-                // Legacy fields for compatibility
-                basicSalary: parseFloat(row[columnMap.revisedBasicPay]) || 0,
-                da: parseFloat(row[columnMap.da150]) || 0,
-                hra: parseFloat(row[columnMap.hra30]) || 0,
-                allowances: parseFloat(row[columnMap.addAllowance]) || 0,
-                grossSalary: parseFloat(row[columnMap.grossTotal]) || 0,
+                // Totals as given in the sheet (checked by validateRecords)
+                grossTotal: this.parseAmount(row[columnMap.grossTotal]),
+                totalDeductions: this.parseAmount(row[columnMap.totalDeductions]),
+                netPay: this.parseAmount(row[columnMap.netPay]),
                 
                 // Meta data
                 payDate: new Date().toISOString().split('T')[0],
-                status: 'paid',
                 month: month,
                 year: year,
                 monthNum: this.getMonthNumber(month),
                 createdAt: new Date().toISOString()
             };
 
+            // Earnings and deductions, one field per pay head
+            this.payHeads.heads.forEach(head => {
+                record[head.id] = this.parseAmount(row[columnMap[head.id]]);
+            });
+
+            // Legacy fields for compatibility
+            record.basicSalary = record.revisedBasicPay || 0;
+            record.da = record.da150 || 0;
+            record.hra = record.hra30 || 0;
+            record.allowances = record.addAllowance || 0;
+            record.grossSalary = record.grossTotal;
+
             processedData.push(record);
+            this.recordLineNumbers.push(this.rowLineNumbers[i] || i + 1);
         }
 
-        console.log('✅ Processed data with exact Excel column mapping:', processedData.length, 'records');
+        console.log('✅ Processed data with column mapping:', processedData.length, 'records');
         return processedData;
     }
 
@@ -432,27 +679,27 @@ class PaysheetImporter {
      * Get sample CSV format for download
      */
     getSampleCSVFormat() {
-        const headers = [
-            'Teacher ID', 'Teacher Name', 'Designation', 'Department',
-            'Basic Salary', 'HRA', 'DA', 'Allowances', 'Gross Salary',
-            'PF', 'ESI', 'Tax', 'Other Deductions', 'Total Deductions',
-            'Net Pay', 'Pay Date', 'Status'
-        ];
+        // Pay heads added to the catalog appear as extra columns with zero amounts
+        const fields = this.getFields().filter(({ field }) => field !== 'qualification');
 
         const sampleData = [
-            ['T001', 'Dr. John Smith', 'Professor', 'Computer Science',
-             '50000', '15000', '5000', '3000', '73000',
-             '6000', '1000', '5000', '500', '12500',
-             '60500', '2025-01-31', 'Paid'],
-            ['T002', 'Ms. Jane Doe', 'Associate Professor', 'Mathematics',
-             '45000', '13500', '4500', '2500', '65500',
-             '5400', '900', '4000', '300', '10600',
-             '54900', '2025-01-31', 'Paid']
+            { teacherId: 'N001', teacherName: 'Dr. John Smith', designation: 'Professor', department: 'COMPUTER',
+              pan: 'ABCPS1234K', uan: '100123456789',
+              payScale: '37400-67000', payBand: 'PB-4', agp: 10000,
+              revisedBasicPay: 57700, da150: 86550, hra30: 17310, cla: 240, addAllowance: 0, grossTotal: 161800,
+              profTax: 200, incomeTax: 12000, pf: 1800, lic: 0, medicalInsurance: 500, ewFund: 100,
+              totalDeductions: 14600, netPay: 147200 },
+            { teacherId: 'N002', teacherName: 'Ms. Jane Doe', designation: 'Assistant Professor', department: 'CIVIL',
+              pan: 'BCDPD5678L', uan: '100987654321',
+              payScale: '15600-39100', payBand: 'PB-3', agp: 6000,
+              revisedBasicPay: 44900, da150: 67350, hra30: 13470, cla: 240, addAllowance: 1000, grossTotal: 126960,
+              profTax: 200, incomeTax: 6000, pf: 1800, lic: 1500, medicalInsurance: 500, ewFund: 100,
+              totalDeductions: 10100, netPay: 116860 }
         ];
 
-        let csvContent = headers.join(',') + '\n';
+        let csvContent = fields.map(({ label }) => PaysheetExporter.csvEscape(label)).join(',') + '\n';
         sampleData.forEach(row => {
-            csvContent += row.join(',') + '\n';
+            csvContent += fields.map(({ field, amount }) => row[field] !== undefined ? row[field] : (amount ? 0 : '')).join(',') + '\n';
         });
 
         return csvContent;
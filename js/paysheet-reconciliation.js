@@ -0,0 +1,138 @@
+/**
+ * Paysheet Reconciliation
+ * Cross-references the rows of an imported paysheet with the registered teachers.
+ * A row's "Teacher ID" either is a registered teacher ID, or is linked to one by
+ * an alias in teacherIdAliases/{sheetId} = {teacherId, linkedBy, linkedAt}, made
+ * by an admin when the sheet uses an older or different numbering.
+ *
+ * Rows that match no teacher would produce slips nobody can sign in to see, and
+ * active teachers without a row get no slip for the month; both are listed
+ * before the import so they can be linked or followed up.
+ */
+
+class PaysheetReconciliation {
+    /**
+     * Titles left out when comparing names
+     */
+    static get TITLES() {
+        return ['dr', 'mr', 'mrs', 'ms', 'miss', 'prof', 'shri', 'smt', 'kum'];
+    }
+
+    /**
+     * Name reduced to lowercase words without titles or punctuation
+     * @param {string} name - Name as written in the sheet or profile
+     */
+    static normalizeName(name) {
+        return (name || '').toString().toLowerCase()
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !PaysheetReconciliation.TITLES.includes(word))
+            .join(' ');
+    }
+
+    /**
+     * Teacher ID a sheet ID resolves to, and how
+     * @param {string} sheetId - Teacher ID as written in the sheet
+     * @param {Object} teachers - Teacher records keyed by teacher ID
+     * @param {Object} aliases - teacherIdAliases node
+     * @returns {Object|null} {teacherId, via}; via is 'id' or 'alias'
+     */
+    static resolve(sheetId, teachers, aliases) {
+        if (!sheetId) return null;
+        if ((teachers || {})[sheetId]) return { teacherId: sheetId, via: 'id' };
+        const alias = (aliases || {})[sheetId];
+        if (alias && (teachers || {})[alias.teacherId]) return { teacherId: alias.teacherId, via: 'alias' };
+        return null;
+    }
+
+    /**
+     * Registered teachers a row probably belongs to: same ID in another case,
+     * same PAN, or same name
+     * @param {Object} record - Paysheet record
+     * @param {Object} teachers - Teacher records keyed by teacher ID
+     * @returns {Array} [{teacherId, name, reason}]
+     */
+    static suggest(record, teachers) {
+        const sheetId = (record.teacherId || '').toUpperCase();
+        const pan = (record.pan || '').toUpperCase();
+        const name = PaysheetReconciliation.normalizeName(record.teacherName);
+
+        const suggestions = [];
+        Object.keys(teachers || {}).forEach(teacherId => {
+            const teacher = teachers[teacherId] || {};
+            let reason = null;
+            if (sheetId && teacherId.toUpperCase() === sheetId) {
+                reason = 'Same ID in different case';
+            } else if (pan && (teacher.pan || '').toUpperCase() === pan) {
+                reason = 'Same PAN';
+            } else if (name && PaysheetReconciliation.normalizeName(teacher.name) === name) {
+                reason = 'Same name';
+            }
+            if (reason) suggestions.push({ teacherId, name: teacher.name || '', reason });
+        });
+        return suggestions;
+    }
+
+    /**
+     * Match paysheet rows to registered teachers
+     * @param {Array} records - From PaysheetImporter.processDataForLocalStorage()
+     * @param {Object} teachers - Teacher records keyed by teacher ID
+     * @param {Object} aliases - teacherIdAliases node
+     * @param {Array} lines - Sheet line of each record (PaysheetImporter.recordLineNumbers)
+     * @returns {Object} {matched, unmatched, missing}. matched and unmatched hold
+     *   {line, record, ...}; missing holds the active teachers with no row.
+     */
+    static reconcile(records, teachers, aliases = {}, lines = []) {
+        const result = { matched: [], unmatched: [], missing: [] };
+        const covered = new Set();
+
+        (records || []).forEach((record, index) => {
+            const line = lines[index] || index + 2;
+            const match = PaysheetReconciliation.resolve(record.teacherId, teachers, aliases);
+            if (match) {
+                covered.add(match.teacherId);
+                result.matched.push({ line, record, ...match });
+            } else {
+                result.unmatched.push({ line, record, suggestions: PaysheetReconciliation.suggest(record, teachers) });
+            }
+        });
+
+        Object.keys(teachers || {}).forEach(teacherId => {
+            const teacher = teachers[teacherId] || {};
+            if (teacher.status === 'Active' && !covered.has(teacherId)) {
+                result.missing.push({
+                    teacherId,
+                    name: teacher.name || '',
+                    department: teacher.department || '',
+                    designation: teacher.designation || ''
+                });
+            }
+        });
+        result.missing.sort((a, b) => a.teacherId.localeCompare(b.teacherId));
+
+        return result;
+    }
+
+    /**
+     * Records with aliased sheet IDs replaced by the linked teacher ID. The sheet's
+     * own ID is kept in sheetTeacherId.
+     * @param {Array} records - Paysheet records
+     * @param {Object} aliases - teacherIdAliases node
+     * @returns {Array} Records
+     */
+    static applyAliases(records, aliases) {
+        return (records || []).map(record => {
+            const alias = (aliases || {})[record.teacherId];
+            if (!alias || !alias.teacherId) return record;
+            return {
+                ...record,
+                sheetTeacherId: record.teacherId,
+                teacherId: alias.teacherId,
+                id: `${alias.teacherId}_${record.month}_${record.year}`
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+window.PaysheetReconciliation = PaysheetReconciliation;
@@ -0,0 +1,148 @@
+/**
+ * Payslip Requests
+ * Teachers request certified copies of their slips for a month or a range of
+ * months (payslipRequests/{id}). An admin approves the request, fixing the pay
+ * runs it covers, or rejects it with a reason; once approved the teacher can
+ * download the certified PDF.
+ */
+
+class PayslipRequest {
+    /**
+     * Purposes a teacher can state, with their display labels
+     */
+    static get PURPOSES() {
+        return {
+            loan: 'Bank Loan',
+            visa: 'Visa / Travel',
+            tax: 'Income Tax',
+            other: 'Other'
+        };
+    }
+
+    /**
+     * Request states
+     */
+    static get STATUSES() {
+        return ['Pending', 'Approved', 'Rejected'];
+    }
+
+    /**
+     * Longest range one request may cover, in months
+     */
+    static get MAX_MONTHS() {
+        return 12;
+    }
+
+    /**
+     * Months from one YYYY-MM to another, inclusive
+     * @param {string} from - First month (YYYY-MM)
+     * @param {string} to - Last month (YYYY-MM)
+     * @returns {Array} YYYY-MM strings; empty when the range is reversed
+     */
+    static monthsInRange(from, to) {
+        const months = [];
+        let [year, month] = from.split('-').map(Number);
+        const [toYear, toMonth] = to.split('-').map(Number);
+
+        while (year < toYear || (year === toYear && month <= toMonth)) {
+            months.push(`${year}-${String(month).padStart(2, '0')}`);
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+        return months;
+    }
+
+    /**
+     * Month name and year for a YYYY-MM string, e.g. "April 2025"
+     * @param {string} value - Month (YYYY-MM)
+     */
+    static formatMonth(value) {
+        const [year, month] = value.split('-').map(Number);
+        return new Date(year, month - 1, 1).toLocaleString('en-US', { month: 'long' }) + ` ${year}`;
+    }
+
+    /**
+     * Period a request covers, e.g. "April 2025" or "April 2025 – June 2025".
+     * Requests made before ranges existed only carry a month label.
+     * @param {Object} request - Payslip request
+     */
+    static getRangeLabel(request) {
+        if (!request.fromMonth || !request.toMonth) return request.month || '';
+        if (request.fromMonth === request.toMonth) return PayslipRequest.formatMonth(request.fromMonth);
+        return `${PayslipRequest.formatMonth(request.fromMonth)} – ${PayslipRequest.formatMonth(request.toMonth)}`;
+    }
+
+    /**
+     * Display label of a request's purpose, with the teacher's details for "Other"
+     * @param {Object} request - Payslip request
+     */
+    static getPurposeLabel(request) {
+        const label = PayslipRequest.PURPOSES[request.purpose] || request.purpose || '';
+        return request.purposeDetails ? `${label} (${request.purposeDetails})` : label;
+    }
+
+    /**
+     * Whether a slip falls inside the period of a request
+     * @param {Object} request - Payslip request
+     * @param {Object} slip - Slip with year and monthNum
+     */
+    static coversSlip(request, slip) {
+        const month = `${slip.year}-${slip.monthNum}`;
+        return month >= request.fromMonth && month <= request.toMonth;
+    }
+
+    /**
+     * Check a new request before it is saved
+     * @param {Object} request - {fromMonth, toMonth, purpose, purposeDetails}
+     * @param {Date} today - Current date, for rejecting future months
+     * @returns {Array} Error messages
+     */
+    static validate(request, today = new Date()) {
+        const errors = [];
+        const monthPattern = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+        if (!monthPattern.test(request.fromMonth || '') || !monthPattern.test(request.toMonth || '')) {
+            errors.push('Choose the first and last month');
+        } else {
+            const months = PayslipRequest.monthsInRange(request.fromMonth, request.toMonth);
+            const currentMonth = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+            if (months.length === 0) errors.push('The last month must not be before the first month');
+            if (months.length > PayslipRequest.MAX_MONTHS) errors.push(`A request can cover at most ${PayslipRequest.MAX_MONTHS} months`);
+            if (request.toMonth > currentMonth) errors.push('Slips cannot be requested for future months');
+        }
+
+        if (!PayslipRequest.PURPOSES[request.purpose]) {
+            errors.push('Choose a purpose');
+        } else if (request.purpose === 'other' && !(request.purposeDetails || '').trim()) {
+            errors.push('Describe the purpose');
+        }
+        return errors;
+    }
+
+    /**
+     * Build a new pending request
+     * @param {Object} teacher - {teacherId, teacherName}
+     * @param {Object} form - {fromMonth, toMonth, purpose, purposeDetails}
+     */
+    static create(teacher, form) {
+        const request = {
+            teacherId: teacher.teacherId,
+            teacherName: teacher.teacherName || '',
+            fromMonth: form.fromMonth,
+            toMonth: form.toMonth,
+            purpose: form.purpose,
+            purposeDetails: (form.purposeDetails || '').trim(),
+            status: 'Pending',
+            requestDate: new Date().toISOString()
+        };
+        // Older admin screens read the period from `month`
+        request.month = PayslipRequest.getRangeLabel(request);
+        return request;
+    }
+}
+
+// Export for use in other modules
+window.PayslipRequest = PayslipRequest;
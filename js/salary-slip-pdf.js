@@ -0,0 +1,705 @@
+/**
+ * Salary Slip PDF Renderer
+ * Builds the BVIT salary slip as a real PDF document in the browser (jsPDF),
+ * on its own or as the certified copy issued for a payslip request, and the
+ * annual statement of a financial year. Slips with a verification code carry it
+ * as a QR code (qrcode-generator) in the header.
+ */
+
+class SalarySlipPDF {
+    constructor(options = {}) {
+        this.logoUrl = options.logoUrl || '../public/bharati_logo.png';
+        this.payHeads = options.payHeads || new PayHeads();
+        // Page the verification QR code points to is resolved against this address
+        this.verifyBaseUrl = options.verifyBaseUrl || window.location.href;
+        this.institutionName = 'BHARATI VIDYAPEETH INSTITUTE OF TECHNOLOGY';
+        this.institutionAddress = 'SECTOR 7 CBD, BELAPUR, OPP KHARGHAR RAILWAY STATION NAVI MUMBAI';
+        this.logoData = null;
+        this.logoLoaded = false;
+    }
+
+    /**
+     * Normalize a paysheet record or salary slip (including legacy field names)
+     * into the fields printed on the slip
+     * @param {Object} record - Paysheet record or salary slip
+     * @param {PayHeads} payHeads - Heads printed on the slip; the built-in catalog when omitted
+     */
+    static normalizeRecord(record, payHeads = new PayHeads()) {
+        return {
+            teacherId: record.teacherId || '',
+            teacherName: record.teacherName || record.name || '',
+            designation: record.designation || '',
+            department: record.department || '',
+            payScale: record.payScale || '',
+            payBand: record.payBand || '',
+            agp: parseFloat(record.agp) || 0,
+            month: record.month || '',
+            year: record.year ? record.year.toString() : '',
+            monthNum: record.monthNum || '',
+            runType: PayRun.getRunType(record),
+            sequence: record.sequence || null,
+            payDate: record.payDate || '',
+            verificationCode: record.verificationCode || '',
+            ...payHeads.amounts(record)
+        };
+    }
+
+    /**
+     * Convert an amount to Indian-system words, e.g. "Twelve Thousand Rupees Only"
+     * @param {number} amount - Amount in rupees (paise are spelt out separately)
+     */
+    static numberToWords(amount) {
+        const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+            'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+        const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+        const belowHundred = (n) => {
+            if (n < 20) return ones[n];
+            return (tens[Math.floor(n / 10)] + ' ' + ones[n % 10]).trim();
+        };
+
+        const belowThousand = (n) => {
+            const hundreds = Math.floor(n / 100);
+            const rest = n % 100;
+            return [hundreds ? ones[hundreds] + ' Hundred' : '', rest ? belowHundred(rest) : '']
+                .filter(Boolean).join(' ');
+        };
+
+        const convert = (n) => {
+            if (n === 0) return 'Zero';
+            const parts = [];
+            const crore = Math.floor(n / 10000000);
+            n %= 10000000;
+            if (crore) parts.push(convert(crore) + ' Crore');
+            const lakh = Math.floor(n / 100000);
+            n %= 100000;
+            if (lakh) parts.push(belowHundred(lakh) + ' Lakh');
+            const thousand = Math.floor(n / 1000);
+            n %= 1000;
+            if (thousand) parts.push(belowHundred(thousand) + ' Thousand');
+            if (n) parts.push(belowThousand(n));
+            return parts.join(' ');
+        };
+
+        const value = Math.abs(Math.round((parseFloat(amount) || 0) * 100));
+        const rupees = Math.floor(value / 100);
+        const paise = value % 100;
+
+        let words = convert(rupees) + ' Rupees';
+        if (paise) {
+            words += ' and ' + belowHundred(paise) + ' Paise';
+        }
+        return words + ' Only';
+    }
+
+    /**
+     * Format an amount for the slip. The standard PDF fonts have no rupee glyph,
+     * so amounts are printed as plain Indian-grouped numbers under "Rs." headings.
+     * @param {number} amount - Amount to format
+     */
+    static formatAmount(amount) {
+        return new Intl.NumberFormat('en-IN', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(parseFloat(amount) || 0);
+    }
+
+    /**
+     * File name for a slip, e.g. Salary_Slip_N027_AMOL_BODARE_July_2025.pdf
+     * (Salary_Slip_N027_AMOL_BODARE_July_2025_Arrears_2.pdf for a supplementary run)
+     * @param {Object} slip - Normalized slip
+     */
+    static getFileName(slip) {
+        const clean = (value) => (value || '').toString().trim()
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        const run = PayRun.isSupplementary(slip)
+            ? [PayRun.RUN_TYPES[slip.runType], Number(slip.sequence) > 1 ? slip.sequence : '']
+            : [];
+        const parts = ['Salary_Slip', clean(slip.teacherId), clean(slip.teacherName), clean(slip.month), clean(slip.year), ...run.map(clean)]
+            .filter(Boolean);
+        return parts.join('_') + '.pdf';
+    }
+
+    /**
+     * Deterministic 32-digit hex identifier for a slip, used as the PDF file ID
+     * so that rendering the same slip twice yields the same document
+     * @param {string} text - Text to hash
+     */
+    static hashHex(text) {
+        let hex = '';
+        // Four FNV-1a passes with different seeds give 128 bits
+        [0x811c9dc5, 0x01000193, 0x9e3779b9, 0x85ebca6b].forEach(seed => {
+            let hash = seed >>> 0;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            hex += hash.toString(16).padStart(8, '0');
+        });
+        return hex.toUpperCase();
+    }
+
+    /**
+     * Document date for a slip: the pay date when known, otherwise the last day
+     * of the pay month. Never the wall clock, so the output stays reproducible.
+     * @param {Object} slip - Normalized slip
+     */
+    static getDocumentDate(slip) {
+        if (slip.payDate && !isNaN(new Date(slip.payDate).getTime())) {
+            return new Date(slip.payDate);
+        }
+
+        const monthIndex = parseInt(slip.monthNum, 10) ||
+            (new Date(`${slip.month} 1, 2000`).getMonth() + 1) || 1;
+        const year = parseInt(slip.year, 10) || 2000;
+        return new Date(Date.UTC(year, monthIndex, 0));
+    }
+
+    /**
+     * Load the institute logo once as a data URL. Missing logos are not fatal;
+     * the slip is rendered without one.
+     */
+    async loadLogo() {
+        if (this.logoLoaded) return this.logoData;
+        this.logoLoaded = true;
+
+        try {
+            const response = await fetch(this.logoUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const blob = await response.blob();
+
+            this.logoData = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(new Error('Failed to read logo'));
+                reader.readAsDataURL(blob);
+            });
+        } catch (error) {
+            console.warn('⚠️ Salary slip logo not available, rendering without it:', error.message);
+            this.logoData = null;
+        }
+
+        return this.logoData;
+    }
+
+    /**
+     * Render a salary slip
+     * @param {Object} record - Paysheet record or salary slip
+     * @returns {Promise<jsPDF>} PDF document
+     */
+    async generate(record) {
+        if (!window.jspdf || !window.jspdf.jsPDF) {
+            throw new Error('PDF library not loaded');
+        }
+
+        const slip = SalarySlipPDF.normalizeRecord(record, this.payHeads);
+        const logo = await this.loadLogo();
+
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4', compress: true });
+        const documentDate = SalarySlipPDF.getDocumentDate(slip);
+
+        doc.setCreationDate(documentDate);
+        doc.setFileId(SalarySlipPDF.hashHex(
+            `${slip.teacherId}|${slip.month}|${slip.year}|${slip.grossTotal}|${slip.totalDeductions}|${slip.netPay}` +
+            (PayRun.isSupplementary(slip) ? `|${slip.runType}|${slip.sequence}` : '')
+        ));
+        doc.setProperties({
+            title: `Salary Slip - ${slip.teacherName} - ${PayRun.getTitle(slip)}`.trim(),
+            subject: 'Salary Slip',
+            author: this.institutionName,
+            creator: 'BVIT SALARY SLIP'
+        });
+
+        this.drawSlip(doc, slip, logo);
+        return doc;
+    }
+
+    /**
+     * Draw the slip layout on a document (same layout as the on-screen slip)
+     * @param {jsPDF} doc - Target document
+     * @param {Object} slip - Normalized slip
+     * @param {string|null} logo - Logo data URL
+     * @returns {number} Bottom edge of the slip border
+     */
+    drawSlip(doc, slip, logo) {
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const left = 15;
+        const right = pageWidth - 15;
+        const center = pageWidth / 2;
+        let y = 20;
+
+        const earnings = this.payHeads.earnings(slip).map(head => [head.name, head.id]);
+        const deductions = this.payHeads.deductions(slip).map(head => [head.name, head.id]);
+        // The layout fits six rows per column; longer catalogs push the rest of the slip down
+        const rowCount = Math.max(6, earnings.length, deductions.length);
+        const extraHeight = (rowCount - 6) * 6;
+
+        doc.setDrawColor(31, 41, 55);
+        doc.setLineWidth(0.8);
+        doc.rect(10, 10, pageWidth - 20, 190 + extraHeight);
+
+        // Header
+        if (logo) {
+            doc.addImage(logo, 'PNG', center - 20, y - 6, 40, 19.4);
+            y += 19;
+        }
+
+        if (slip.verificationCode) {
+            this.drawVerification(doc, slip.verificationCode, right - 22, 13);
+        }
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.text(this.institutionName, center, y, { align: 'center' });
+        y += 6;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text(this.institutionAddress, center, y, { align: 'center' });
+        y += 8;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12);
+        doc.text(`Salary Slip for ${PayRun.getTitle(slip)}`.trim(), center, y, { align: 'center' });
+        y += 4;
+        doc.setLineWidth(0.5);
+        doc.line(left, y, right, y);
+        y += 8;
+
+        // Employee details
+        const detailRows = (rows, x, startY) => {
+            rows.forEach(([label, value], index) => {
+                doc.setFont('helvetica', 'bold');
+                doc.text(label, x, startY + index * 6);
+                doc.setFont('helvetica', 'normal');
+                doc.text(String(value || '-'), x + 26, startY + index * 6);
+            });
+        };
+
+        doc.setFontSize(10);
+        detailRows([
+            ['Name', slip.teacherName],
+            ['Emp. No', slip.teacherId],
+            ['Designation', slip.designation]
+        ], left, y);
+        detailRows([
+            ['Department', slip.department],
+            ['Pay Scale', slip.payScale],
+            ['Pay Band', slip.payBand],
+            ['A.G.P', slip.agp ? SalarySlipPDF.formatAmount(slip.agp) : '-']
+        ], center + 5, y);
+        y += 28;
+
+        // Earnings and deductions
+        const columnWidth = (right - left - 10) / 2;
+        const drawTable = (title, rows, totalLabel, total, x) => {
+            let rowY = y;
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(11);
+            doc.text(title, x, rowY);
+            doc.setFontSize(9);
+            doc.text('Rs.', x + columnWidth, rowY, { align: 'right' });
+            rowY += 2;
+            doc.setLineWidth(0.3);
+            doc.line(x, rowY, x + columnWidth, rowY);
+            rowY += 5;
+
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(10);
+            rows.forEach(([label, field]) => {
+                doc.text(label, x, rowY);
+                doc.text(SalarySlipPDF.formatAmount(slip[field]), x + columnWidth, rowY, { align: 'right' });
+                rowY += 6;
+            });
+
+            rowY = y + 7 + 6 * rowCount;
+            doc.line(x, rowY - 4, x + columnWidth, rowY - 4);
+            doc.setFont('helvetica', 'bold');
+            doc.text(totalLabel, x, rowY + 1);
+            doc.text(SalarySlipPDF.formatAmount(total), x + columnWidth, rowY + 1, { align: 'right' });
+        };
+
+        drawTable('Earnings', earnings, 'Gross Total', slip.grossTotal, left);
+        drawTable('Deductions', deductions, 'Total Deductions', slip.totalDeductions, left + columnWidth + 10);
+        y += 7 + 6 * rowCount + 10;
+
+        // Net pay
+        doc.setFillColor(219, 234, 254);
+        doc.setLineWidth(0.3);
+        doc.rect(left, y, right - left, 16, 'FD');
+        doc.setFontSize(11);
+        doc.text('Net Pay', center, y + 6, { align: 'center' });
+        doc.setFontSize(13);
+        doc.text(`Rs. ${SalarySlipPDF.formatAmount(slip.netPay)}`, center, y + 12.5, { align: 'center' });
+        y += 24;
+
+        // Amount in words
+        doc.setFontSize(10);
+        doc.text('Amount in Words:', left, y);
+        doc.setFont('helvetica', 'normal');
+        const words = doc.splitTextToSize(SalarySlipPDF.numberToWords(slip.netPay), right - left - 34);
+        doc.text(words, left + 34, y);
+        y += 6 * words.length + 20;
+
+        // Signatures
+        const signatureWidth = 55;
+        doc.setLineWidth(0.3);
+        doc.line(left + 5, y, left + 5 + signatureWidth, y);
+        doc.line(right - 5 - signatureWidth, y, right - 5, y);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Principal Signature', left + 5 + signatureWidth / 2, y + 5, { align: 'center' });
+        doc.text('Clerk Signature', right - 5 - signatureWidth / 2, y + 5, { align: 'center' });
+
+        // Footer
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(107, 114, 128);
+        doc.text('This is a computer-generated payslip.', center, 196 + extraHeight, { align: 'center' });
+        doc.setTextColor(0, 0, 0);
+        return 200 + extraHeight;
+    }
+
+    /**
+     * Draw the verification QR code with the code printed under it. Without the
+     * QR library only the code is printed.
+     * @param {jsPDF} doc - Target document
+     * @param {string} code - Verification code
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     */
+    drawVerification(doc, code, x, y) {
+        const size = 20;
+        const url = SlipVerification.getUrl(code, this.verifyBaseUrl);
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(6);
+        if (typeof window.qrcode === 'function') {
+            const qr = window.qrcode(0, 'M');
+            qr.addData(url);
+            qr.make();
+
+            const count = qr.getModuleCount();
+            const cell = size / count;
+            doc.setFillColor(0, 0, 0);
+            for (let row = 0; row < count; row++) {
+                for (let col = 0; col < count; col++) {
+                    if (qr.isDark(row, col)) {
+                        doc.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+                    }
+                }
+            }
+            doc.text(code, x + size / 2, y + size + 2.5, { align: 'center' });
+        } else {
+            doc.text(['Verification code', code], x + size, y + 4, { align: 'right' });
+        }
+    }
+
+    /**
+     * Render the slips of an approved payslip request as one certified document,
+     * one slip per page with the certification below it
+     * @param {Array} records - Paysheet records or salary slips, in page order
+     * @param {Object} certificate - {requestId, purpose, period, approvedBy, approvalDate}
+     * @returns {Promise<jsPDF>} PDF document
+     */
+    async generateCertified(records, certificate) {
+        if (!window.jspdf || !window.jspdf.jsPDF) {
+            throw new Error('PDF library not loaded');
+        }
+        if (records.length === 0) {
+            throw new Error('No slips to certify');
+        }
+
+        const logo = await this.loadLogo();
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4', compress: true });
+        const slips = records.map(record => SalarySlipPDF.normalizeRecord(record, this.payHeads));
+        const approvalDate = new Date(certificate.approvalDate);
+
+        doc.setCreationDate(approvalDate);
+        doc.setFileId(SalarySlipPDF.hashHex(`${certificate.requestId}|${slips.map(slip => `${slip.month}|${slip.year}|${slip.netPay}`).join('|')}`));
+        doc.setProperties({
+            title: `Certified Salary Slips - ${slips[0].teacherName} - ${certificate.period}`,
+            subject: `Certified Salary Slips (${certificate.purpose})`,
+            author: this.institutionName,
+            creator: 'BVIT SALARY SLIP'
+        });
+
+        slips.forEach((slip, index) => {
+            if (index > 0) doc.addPage();
+            const bottom = this.drawSlip(doc, slip, logo);
+            this.drawCertification(doc, certificate, bottom + 10, `${index + 1} of ${slips.length}`);
+        });
+        return doc;
+    }
+
+    /**
+     * Draw the certification block of a certified copy
+     * @param {jsPDF} doc - Target document
+     * @param {Object} certificate - {requestId, purpose, period, approvedBy, approvalDate}
+     * @param {number} y - Top of the block
+     * @param {string} pageLabel - e.g. "2 of 3"
+     */
+    drawCertification(doc, certificate, y, pageLabel) {
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const left = 15;
+        const right = pageWidth - 15;
+
+        doc.setDrawColor(22, 101, 52);
+        doc.setLineWidth(0.5);
+        doc.rect(left, y, right - left, 24);
+        doc.setTextColor(22, 101, 52);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.text('CERTIFIED TRUE COPY', left + 4, y + 7);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text(`Slip ${pageLabel}`, right - 4, y + 7, { align: 'right' });
+        doc.text(`Issued for: ${certificate.purpose}    Period: ${certificate.period}`, left + 4, y + 13);
+        doc.text(`Approved by ${certificate.approvedBy} on ${new Date(certificate.approvalDate).toLocaleDateString('en-IN')}`, left + 4, y + 18);
+        doc.text(`Request No. ${certificate.requestId}`, left + 4, y + 22.5);
+        doc.setTextColor(0, 0, 0);
+        doc.setDrawColor(31, 41, 55);
+    }
+
+    /**
+     * File name for a certified copy, e.g. Certified_Salary_Slips_N027_AMOL_BODARE_April_2025_June_2025.pdf
+     * @param {Object} slip - Normalized slip of the teacher
+     * @param {string} period - Period label of the request
+     */
+    static getCertifiedFileName(slip, period) {
+        const clean = (value) => (value || '').toString().trim()
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return ['Certified_Salary_Slips', clean(slip.teacherId), clean(slip.teacherName), clean(period)]
+            .filter(Boolean).join('_') + '.pdf';
+    }
+
+    /**
+     * Render the certified copy of a request and save it
+     * @param {Array} records - Paysheet records or salary slips, in page order
+     * @param {Object} certificate - {requestId, purpose, period, approvedBy, approvalDate}
+     */
+    async downloadCertified(records, certificate) {
+        const doc = await this.generateCertified(records, certificate);
+        const fileName = SalarySlipPDF.getCertifiedFileName(SalarySlipPDF.normalizeRecord(records[0]), certificate.period);
+        doc.save(fileName);
+        return fileName;
+    }
+
+    /**
+     * Render a teacher's annual statement: month-by-month breakdown of every pay
+     * head with yearly totals, followed by the tax summary (landscape A4)
+     * @param {Object} statement - Statement from AnnualStatement.build
+     * @returns {Promise<jsPDF>} PDF document
+     */
+    async generateAnnualStatement(statement) {
+        if (!window.jspdf || !window.jspdf.jsPDF) {
+            throw new Error('PDF library not loaded');
+        }
+
+        const logo = await this.loadLogo();
+        const doc = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4', compress: true });
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const left = 10;
+        const right = pageWidth - 10;
+        const center = pageWidth / 2;
+        let y = 15;
+
+        // Dated at the end of the financial year, so the output stays reproducible
+        doc.setCreationDate(new Date(Date.UTC(statement.startYear + 1, 2, 31)));
+        doc.setFileId(SalarySlipPDF.hashHex(
+            `${statement.teacherId}|${statement.financialYear}|${statement.rows.map(row => `${row.title}|${row.netPay}`).join('|')}`
+        ));
+        doc.setProperties({
+            title: `Annual Salary Statement - ${statement.teacherName} - FY ${statement.financialYear}`,
+            subject: 'Annual Salary Statement',
+            author: this.institutionName,
+            creator: 'BVIT SALARY SLIP'
+        });
+
+        // Header
+        if (logo) {
+            doc.addImage(logo, 'PNG', left, y - 5, 30, 14.5);
+        }
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.text(this.institutionName, center, y, { align: 'center' });
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text(this.institutionAddress, center, y + 5, { align: 'center' });
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12);
+        doc.text(`Annual Salary Statement for Financial Year ${statement.financialYear} (April ${statement.startYear} - March ${statement.startYear + 1})`, center, y + 12, { align: 'center' });
+        y += 15;
+        doc.setLineWidth(0.5);
+        doc.line(left, y, right, y);
+        y += 6;
+
+        doc.setFontSize(10);
+        [
+            ['Name', statement.teacherName, 'Emp. No', statement.teacherId],
+            ['Designation', statement.designation, 'Department', statement.department]
+        ].forEach(([label1, value1, label2, value2]) => {
+            doc.setFont('helvetica', 'bold');
+            doc.text(label1, left, y);
+            doc.text(label2, center + 5, y);
+            doc.setFont('helvetica', 'normal');
+            doc.text(String(value1 || '-'), left + 26, y);
+            doc.text(String(value2 || '-'), center + 31, y);
+            y += 5.5;
+        });
+        y += 2;
+
+        // Month-by-month breakdown
+        const columns = [
+            ...this.payHeads.earnings(statement.rows).map(head => [head.name, head.id]),
+            ['Gross Total', 'grossTotal'],
+            ...this.payHeads.deductions(statement.rows).map(head => [head.name, head.id]),
+            ['Total Deductions', 'totalDeductions'],
+            ['Net Pay', 'netPay']
+        ];
+        const firstWidth = 38;
+        const columnWidth = (right - left - firstWidth) / columns.length;
+        const columnRight = index => left + firstWidth + columnWidth * (index + 1) - 1;
+        const totalFields = ['grossTotal', 'totalDeductions', 'netPay'];
+
+        const drawHeaderRow = () => {
+            doc.setFillColor(229, 231, 235);
+            doc.rect(left, y, right - left, 9, 'F');
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(7);
+            doc.text('Month', left + 1, y + 4);
+            columns.forEach(([label], index) => {
+                doc.text(doc.splitTextToSize(label, columnWidth - 2).slice(0, 2), columnRight(index), y + 3.5, { align: 'right' });
+            });
+            doc.setFontSize(6);
+            doc.setFont('helvetica', 'normal');
+            doc.text('(Rs.)', left + 1, y + 7.5);
+            y += 9;
+        };
+
+        const drawRow = (label, amounts, bold) => {
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            doc.setFontSize(7);
+            doc.text(doc.splitTextToSize(label, firstWidth - 2)[0], left + 1, y + 4);
+            columns.forEach(([, field], index) => {
+                doc.setFont('helvetica', bold || totalFields.includes(field) ? 'bold' : 'normal');
+                doc.text(SalarySlipPDF.formatAmount(amounts[field]), columnRight(index), y + 4, { align: 'right' });
+            });
+            y += 6;
+            doc.setLineWidth(0.1);
+            doc.line(left, y, right, y);
+        };
+
+        drawHeaderRow();
+        statement.rows.forEach(row => {
+            if (y > pageHeight - 20) {
+                doc.addPage();
+                y = 15;
+                drawHeaderRow();
+            }
+            drawRow(row.title, row, false);
+        });
+        doc.setLineWidth(0.4);
+        doc.line(left, y, right, y);
+        drawRow('Total for the year', statement.totals, true);
+        y += 8;
+
+        // Tax summary
+        if (y > pageHeight - 70) {
+            doc.addPage();
+            y = 15;
+        }
+        const summaryWidth = 120;
+        const professionalTax = statement.totals.profTax || 0;
+        const summary = [
+            ['Gross salary paid', statement.totals.grossTotal],
+            ['Of which taxable earnings', statement.taxableEarnings],
+            ...AnnualStatement.TAX_SUMMARY_HEADS
+                .filter(([field]) => this.payHeads.get(field))
+                .map(([field, label]) => [label, statement.totals[field]]),
+            ['Taxable earnings less professional tax', statement.taxableEarnings - professionalTax],
+            ['Net salary paid', statement.totals.netPay]
+        ];
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.text('Tax Summary', left, y);
+        doc.setFontSize(9);
+        doc.text('Rs.', left + summaryWidth, y, { align: 'right' });
+        y += 2;
+        doc.setLineWidth(0.3);
+        doc.line(left, y, left + summaryWidth, y);
+        y += 5;
+        doc.setFontSize(9);
+        summary.forEach(([label, amount], index) => {
+            doc.setFont('helvetica', index === 0 || index === summary.length - 1 ? 'bold' : 'normal');
+            doc.text(label, left, y);
+            doc.text(SalarySlipPDF.formatAmount(amount), left + summaryWidth, y, { align: 'right' });
+            y += 5.5;
+        });
+
+        // Signature and footer
+        const signatureWidth = 55;
+        const signatureY = Math.min(y + 5, pageHeight - 20);
+        doc.setLineWidth(0.3);
+        doc.line(right - signatureWidth, signatureY, right, signatureY);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(10);
+        doc.text('Principal Signature', right - signatureWidth / 2, signatureY + 5, { align: 'center' });
+
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(107, 114, 128);
+        doc.text('Computer-generated statement of salary paid through payroll. It is not a Form 16 certificate; '
+            + 'investments and exemptions declared elsewhere are not included.', center, pageHeight - 8, { align: 'center' });
+        doc.setTextColor(0, 0, 0);
+        return doc;
+    }
+
+    /**
+     * File name for an annual statement, e.g. Annual_Statement_N027_AMOL_BODARE_FY_2025_26.pdf
+     * @param {Object} statement - Statement from AnnualStatement.build
+     */
+    static getAnnualFileName(statement) {
+        const clean = (value) => (value || '').toString().trim()
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return ['Annual_Statement', clean(statement.teacherId), clean(statement.teacherName), 'FY', clean(statement.financialYear)]
+            .filter(Boolean).join('_') + '.pdf';
+    }
+
+    /**
+     * Render an annual statement and save it
+     * @param {Object} statement - Statement from AnnualStatement.build
+     */
+    async downloadAnnualStatement(statement) {
+        const doc = await this.generateAnnualStatement(statement);
+        const fileName = SalarySlipPDF.getAnnualFileName(statement);
+        doc.save(fileName);
+        return fileName;
+    }
+
+    /**
+     * Render a slip and return it as a Blob
+     * @param {Object} record - Paysheet record or salary slip
+     */
+    async toBlob(record) {
+        const doc = await this.generate(record);
+        return doc.output('blob');
+    }
+
+    /**
+     * Render a slip and save it under its standard file name
+     * @param {Object} record - Paysheet record or salary slip
+     */
+    async download(record) {
+        const doc = await this.generate(record);
+        const fileName = SalarySlipPDF.getFileName(SalarySlipPDF.normalizeRecord(record));
+        doc.save(fileName);
+        return fileName;
+    }
+}
+
+// Export for use in other modules
+window.SalarySlipPDF = SalarySlipPDF;
@@ -0,0 +1,127 @@
+/**
+ * Slip Verification Codes
+ * Every imported slip gets a random verification code, printed on the slip with
+ * a QR code that opens pages/verify_slip.html. The page looks the code up without
+ * a login in slipVerifications/{code}, which holds only what it shows: the teacher
+ * name, month and net pay, and whether the code was revoked or its slip replaced.
+ * The slips themselves stay readable by the office and their teacher only.
+ *
+ * Codes look like 7KQ2-M9XD-4TPA-ZR3B-C8: sixteen random characters and two
+ * check characters, so mistyped or altered codes are rejected before any lookup.
+ */
+
+class SlipVerification {
+    /**
+     * Code alphabet (Crockford base32: no I, L, O or U)
+     */
+    static get ALPHABET() {
+        return '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    }
+
+    /**
+     * Check characters for the random part of a code
+     * @param {string} body - Sixteen code characters without dashes
+     */
+    static checksum(body) {
+        const alphabet = SlipVerification.ALPHABET;
+        let hash = 0;
+        for (let i = 0; i < body.length; i++) {
+            hash = (hash * 37 + alphabet.indexOf(body[i]) + 1) % 1021;
+        }
+        return alphabet[Math.floor(hash / 32)] + alphabet[hash % 32];
+    }
+
+    /**
+     * New random code
+     */
+    static generate() {
+        const alphabet = SlipVerification.ALPHABET;
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        const body = Array.from(bytes, byte => alphabet[byte % 32]).join('');
+        return SlipVerification.format(body + SlipVerification.checksum(body));
+    }
+
+    /**
+     * Group the eighteen code characters with dashes
+     * @param {string} chars - Code without dashes
+     */
+    static format(chars) {
+        return chars.match(/.{1,4}/g).join('-');
+    }
+
+    /**
+     * Canonical form of a typed or scanned code: upper case, the letters people
+     * confuse with digits mapped to them, and dashes re-inserted
+     * @param {string} input - Code as entered
+     * @returns {string} Formatted code, or '' when it has the wrong length
+     */
+    static normalize(input) {
+        const chars = (input || '').toUpperCase()
+            .replace(/[\s-]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+        return chars.length === 18 ? SlipVerification.format(chars) : '';
+    }
+
+    /**
+     * Whether a code is well formed and its check characters match
+     * @param {string} code - Formatted code
+     */
+    static isValid(code) {
+        const chars = (code || '').replace(/-/g, '');
+        if (chars.length !== 18) return false;
+        if ([...chars].some(char => !SlipVerification.ALPHABET.includes(char))) return false;
+        return SlipVerification.checksum(chars.slice(0, 16)) === chars.slice(16);
+    }
+
+    /**
+     * Whether a re-imported slip still says what its code was issued for: the same
+     * name and the same amounts. Dates stamped by each import are ignored.
+     * @param {Object} previous - Slip the code was issued with
+     * @param {Object} record - Re-imported slip
+     */
+    static isUnchanged(previous, record) {
+        if (!previous || !record) return false;
+        if ((previous.teacherName || '') !== (record.teacherName || '')) return false;
+        const fields = new Set([...Object.keys(previous), ...Object.keys(record)]);
+        return [...fields].every(field =>
+            (typeof previous[field] !== 'number' && typeof record[field] !== 'number') ||
+            (Number(previous[field]) || 0) === (Number(record[field]) || 0));
+    }
+
+    /**
+     * Public details kept under slipVerifications/{code} for a slip
+     * @param {Object} slip - Imported slip
+     * @param {string} paysheetId - Key of the slip's paysheet; its status decides
+     *   whether the slip counts as issued
+     */
+    static toVerification(slip, paysheetId) {
+        const verification = {
+            teacherName: slip.teacherName || slip.name || '',
+            month: slip.month || '',
+            year: slip.year || '',
+            netPay: parseFloat(slip.netPay || slip.netSalary) || 0,
+            paysheetId
+        };
+        if (slip.runType) {
+            verification.runType = slip.runType;
+            verification.sequence = slip.sequence || 1;
+        }
+        return verification;
+    }
+
+    /**
+     * Address of the verification page for a code
+     * @param {string} code - Formatted code
+     * @param {string} baseUrl - Any page in pages/; the current page when omitted
+     */
+    static getUrl(code, baseUrl = window.location.href) {
+        const url = new URL('verify_slip.html', baseUrl);
+        url.searchParams.set('code', code);
+        return url.toString();
+    }
+}
+
+// Export for use in other modules
+window.SlipVerification = SlipVerification;
@@ -0,0 +1,235 @@
+/**
+ * Staff Importer
+ * Reads a staff master sheet (CSV or Excel, parsed by PaysheetImporter) into
+ * teacher records for bulk onboarding. Each row is checked with the same rules
+ * as the teacher profile page and de-duplicated by teacher ID, email and PAN,
+ * both within the file and against teachers already on record.
+ *
+ * Rows are independent: invalid and duplicate rows are reported and skipped,
+ * the rest can be created.
+ */
+
+class StaffImporter {
+    /**
+     * @param {PaysheetImporter} importer - Parser for CSV and Excel files
+     */
+    constructor(importer = new PaysheetImporter()) {
+        this.importer = importer;
+    }
+
+    /**
+     * Columns of a staff sheet. Patterns are matched against headers normalized
+     * to lowercase letters and digits, as in PaysheetImporter.FIELDS.
+     */
+    static get FIELDS() {
+        return [
+            { field: 'teacherId', label: 'Teacher ID', patterns: [/^(teacher|emp|employee|staff)(id|no|code|number)$/, /^id$/] },
+            { field: 'name', label: 'Name', required: true, patterns: [/^nameof(the)?(staff|teacher|employee)$/, /^(staff|teacher|employee|full)?name$/] },
+            { field: 'email', label: 'Email', required: true, patterns: [/^e?mail(id|address)?$/] },
+            { field: 'phone', label: 'Phone', required: true, patterns: [/^(phone|mobile|contact)(no|number)?$/] },
+            { field: 'address', label: 'Address', patterns: [/^address$/] },
+            { field: 'designation', label: 'Designation', required: true, patterns: [/^designation$/, /^post$/] },
+            { field: 'department', label: 'Department', required: true, patterns: [/^(department|dept)$/] },
+            { field: 'employmentType', label: 'Employment Type', patterns: [/^(employment|appointment)(type)?$/, /^type$/] },
+            { field: 'dateOfJoining', label: 'Date of Joining', patterns: [/^(dateof)?joining(date)?$/, /^doj$/, /^joined(on)?$/] },
+            { field: 'qualification', label: 'Qualification', patterns: [/^qualification/] },
+            { field: 'pan', label: 'PAN', patterns: [/^pan(no|number)?$/] },
+            { field: 'uan', label: 'UAN', patterns: [/^(pf)?uan(no|number)?$/] },
+            { field: 'payScale', label: 'Pay Scale', patterns: [/^payscale$/] },
+            { field: 'payBand', label: 'Pay Band', patterns: [/^payband$/] },
+            { field: 'payInBand', label: 'Pay in Band', amount: true, patterns: [/^payinband$/] },
+            { field: 'agp', label: 'A.G.P', amount: true, patterns: [/^agp$/, /^(academic)?gradepay$/] },
+            { field: 'basicPay', label: 'Basic Pay', amount: true, patterns: [/^(revised)?basic(pay|salary)?$/] },
+            { field: 'additionalAllowance', label: 'Additional Allowance', amount: true, patterns: [/^add(itional|l)?allowance$/] }
+        ];
+    }
+
+    /**
+     * Employment type of rows that leave it blank
+     */
+    static get DEFAULT_EMPLOYMENT_TYPE() {
+        return 'Permanent';
+    }
+
+    /**
+     * Detect which sheet column holds each field
+     * @param {Array} headers - Header row
+     * @returns {Object} Map of field name to column index
+     */
+    detectColumnMapping(headers) {
+        const columnMap = {};
+        const normalizedHeaders = headers.map(header => this.importer.normalizeHeader(header));
+
+        StaffImporter.FIELDS.forEach(({ field, patterns }) => {
+            for (const pattern of patterns) {
+                const index = normalizedHeaders.findIndex((header, i) =>
+                    pattern.test(header) && !Object.values(columnMap).includes(i)
+                );
+                if (index !== -1) {
+                    columnMap[field] = index;
+                    break;
+                }
+            }
+        });
+
+        return columnMap;
+    }
+
+    /**
+     * Date cell as YYYY-MM-DD. Accepts ISO dates, DD/MM/YYYY or DD-MM-YYYY, and
+     * Excel date serials.
+     * @param {*} value - Cell value
+     */
+    parseDate(value) {
+        if (value === undefined || value === null || value === '') return '';
+        if (typeof value === 'number') {
+            // Excel counts days from 30 December 1899
+            const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 24 * 60 * 60 * 1000);
+            return date.toISOString().split('T')[0];
+        }
+
+        const text = value.toString().trim();
+        const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+        if (dayFirst) {
+            return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+        }
+        return text;
+    }
+
+    /**
+     * Read a staff sheet
+     * @param {File} file - CSV or Excel file
+     * @returns {Promise<Object>} {records, columnMap, missingColumns}
+     */
+    async parseFile(file) {
+        const rows = await this.importer.parseFile(file);
+        if (rows.length < 2) throw new Error('The file has no staff rows below the header.');
+        return this.parseRows(rows);
+    }
+
+    /**
+     * Turn parsed rows into records
+     * @param {Array} rows - Rows, header row first
+     * @returns {Object} {records, columnMap, missingColumns}
+     */
+    parseRows(rows) {
+        const columnMap = this.detectColumnMapping(rows[0]);
+        const missingColumns = StaffImporter.FIELDS
+            .filter(({ field, required }) => required && columnMap[field] === undefined)
+            .map(({ label }) => label);
+
+        const records = [];
+        rows.slice(1).forEach((row, index) => {
+            if (!row || row.every(cell => cell === undefined || cell === null || cell.toString().trim() === '')) return;
+
+            const record = { line: this.importer.rowLineNumbers[index + 1] || index + 2 };
+            StaffImporter.FIELDS.forEach(({ field, amount }) => {
+                const column = columnMap[field];
+                if (amount) {
+                    record[field] = column === undefined ? 0 : this.importer.parseAmount(row[column]);
+                } else if (field === 'dateOfJoining') {
+                    record[field] = column === undefined ? '' : this.parseDate(row[column]);
+                } else {
+                    record[field] = this.importer.cellText(row, column);
+                }
+            });
+            record.email = record.email.toLowerCase();
+            record.teacherId = record.teacherId.toUpperCase();
+            record.department = record.department.toUpperCase();
+            records.push(record);
+        });
+
+        return { records, columnMap, missingColumns };
+    }
+
+    /**
+     * Check one record with the teacher profile rules
+     * @param {Object} record - From parseRows()
+     * @returns {Object} {profile, errors}
+     */
+    static validateRecord(record) {
+        const profile = TeacherProfile.normalize({
+            ...record,
+            employmentType: record.employmentType || StaffImporter.DEFAULT_EMPLOYMENT_TYPE
+        });
+        const errors = TeacherProfile.validate(profile);
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(record.email || '')) {
+            errors.push('Email is not a valid address');
+        }
+        if (record.teacherId && !/^[A-Z0-9_-]+$/.test(record.teacherId)) {
+            errors.push('Teacher ID may only contain letters, digits, - and _');
+        }
+        return { profile, errors };
+    }
+
+    /**
+     * Validate and de-duplicate records
+     * @param {Array} records - From parseRows()
+     * @param {Object} existingTeachers - Teacher records keyed by teacher ID
+     * @returns {Array} [{line, record, profile, status, messages}]; status is
+     *   'ready', 'invalid' or 'duplicate'
+     */
+    static review(records, existingTeachers = {}) {
+        const existing = { teacherId: {}, email: {}, pan: {} };
+        Object.keys(existingTeachers || {}).forEach(teacherId => {
+            const teacher = existingTeachers[teacherId] || {};
+            existing.teacherId[teacherId.toUpperCase()] = teacherId;
+            if (teacher.email) existing.email[teacher.email.toLowerCase()] = teacherId;
+            if (teacher.pan) existing.pan[teacher.pan.toUpperCase()] = teacherId;
+        });
+        const seen = { teacherId: {}, email: {}, pan: {} };
+        const keys = [['teacherId', 'Teacher ID'], ['email', 'Email'], ['pan', 'PAN']];
+
+        return records.map(record => {
+            const { profile, errors } = StaffImporter.validateRecord(record);
+            const values = { teacherId: record.teacherId, email: record.email, pan: profile.pan };
+
+            const duplicates = [];
+            keys.forEach(([key, label]) => {
+                const value = values[key];
+                if (!value) return;
+                if (existing[key][value]) {
+                    duplicates.push(`${label} ${value} already belongs to teacher ${existing[key][value]}`);
+                } else if (seen[key][value]) {
+                    duplicates.push(`${label} ${value} repeats line ${seen[key][value]}`);
+                }
+            });
+            keys.forEach(([key]) => {
+                if (values[key] && !seen[key][values[key]]) seen[key][values[key]] = record.line;
+            });
+
+            return {
+                line: record.line,
+                record,
+                profile,
+                status: duplicates.length > 0 ? 'duplicate' : errors.length > 0 ? 'invalid' : 'ready',
+                messages: [...duplicates, ...errors]
+            };
+        });
+    }
+
+    /**
+     * Sample staff sheet
+     */
+    static getSampleCSV() {
+        const fields = StaffImporter.FIELDS;
+        const rows = [
+            { teacherId: '', name: 'Dr. Asha Kulkarni', email: 'asha.kulkarni@example.com', phone: '9820012345',
+              address: 'Kharghar, Navi Mumbai', designation: 'Assistant Professor', department: 'Computer Technology',
+              employmentType: 'Permanent', dateOfJoining: '01/07/2025', qualification: 'M.E. (Computer)',
+              pan: 'ABCPK1234L', uan: '100123456780', payScale: '15600-39100', payBand: 'PB-3',
+              payInBand: 15600, agp: 6000, basicPay: 57700, additionalAllowance: 0 },
+            { teacherId: '', name: 'Mr. Rohan Patil', email: 'rohan.patil@example.com', phone: '9930054321',
+              address: 'Belapur, Navi Mumbai', designation: 'Lecturer', department: 'Civil Engineering',
+              employmentType: 'Contract', dateOfJoining: '15/07/2025', qualification: 'B.E. (Civil)',
+              pan: '', uan: '', payScale: '', payBand: '', payInBand: 0, agp: 0, basicPay: 35000, additionalAllowance: 1000 }
+        ];
+        return [
+            fields.map(({ label }) => PaysheetExporter.csvEscape(label)).join(','),
+            ...rows.map(row => fields.map(({ field }) => PaysheetExporter.csvEscape(row[field])).join(','))
+        ].join('\n') + '\n';
+    }
+}
+
+// Export for use in other modules
+window.StaffImporter = StaffImporter;
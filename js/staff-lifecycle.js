@@ -0,0 +1,232 @@
+/**
+ * Staff Lifecycle
+ * Separation of a teacher (resignation, retirement and the like) instead of
+ * deleting their record. The separation is kept on teachers/{teacherId}/separation
+ * with the last working day and reason, and the record's status becomes
+ * 'Separated' so the slips it is linked to stay in place.
+ *
+ * - The final month is paid pro rata up to the last working day; later pay runs
+ *   leave the teacher out.
+ * - Final settlement adds leave encashment and gratuity (Payment of Gratuity Act:
+ *   15 days' wages per completed year of service, after five years, up to the
+ *   statutory ceiling).
+ * - Former staff keep slip access for a grace period after the last working day;
+ *   the database rules enforce the same cut-off.
+ */
+
+class StaffLifecycle {
+    /**
+     * Status of a teacher record once a separation is recorded
+     */
+    static get SEPARATED_STATUS() {
+        return 'Separated';
+    }
+
+    /**
+     * Reasons a teacher can leave for
+     */
+    static get REASONS() {
+        return ['Resignation', 'Superannuation', 'Voluntary Retirement', 'End of Contract', 'Termination', 'Death'];
+    }
+
+    /**
+     * Days after the last working day during which former staff can still sign in
+     * and download their slips
+     */
+    static get ACCESS_GRACE_DAYS() {
+        return 180;
+    }
+
+    /**
+     * Gratuity rules: minimum completed years (waived on death) and ceiling in rupees
+     */
+    static get GRATUITY() {
+        return { minimumYears: 5, ceiling: 2000000, daysPerYear: 15, workingDaysPerMonth: 26 };
+    }
+
+    /**
+     * Most earned-leave days that can be encashed
+     */
+    static get LEAVE_ENCASHMENT_MAX_DAYS() {
+        return 300;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD date as UTC midnight
+     * @param {string} value - Date
+     * @returns {Date|null}
+     */
+    static parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCMonth() === Number(match[2]) - 1 ? date : null;
+    }
+
+    /**
+     * Whether a teacher record has been separated
+     * @param {Object} teacher - Teacher record
+     */
+    static isSeparated(teacher) {
+        return !!teacher && teacher.status === StaffLifecycle.SEPARATED_STATUS && !!teacher.separation;
+    }
+
+    /**
+     * Check a separation before it is recorded
+     * @param {Object} form - {lastWorkingDay, reason, leaveBalanceDays}
+     * @param {Object} teacher - Teacher record
+     * @returns {Array} Error messages
+     */
+    static validate(form, teacher) {
+        const errors = [];
+        const lastWorkingDay = StaffLifecycle.parseDate(form.lastWorkingDay);
+        const joined = StaffLifecycle.parseDate(teacher.dateOfJoining);
+        if (!lastWorkingDay) {
+            errors.push('Enter the last working day');
+        } else if (joined && lastWorkingDay < joined) {
+            errors.push('The last working day is before the date of joining');
+        }
+        if (!StaffLifecycle.REASONS.includes(form.reason)) {
+            errors.push('Choose the reason for leaving');
+        }
+        const leave = Number(form.leaveBalanceDays);
+        if (form.leaveBalanceDays !== '' && form.leaveBalanceDays !== undefined && (isNaN(leave) || leave < 0)) {
+            errors.push('Leave balance must be zero or more days');
+        }
+        if (!joined) {
+            errors.push('Record the date of joining on the profile first; gratuity depends on it');
+        }
+        return errors;
+    }
+
+    /**
+     * Days of a month a teacher is paid for
+     * @param {string} lastWorkingDay - YYYY-MM-DD, or empty when still employed
+     * @param {number|string} year - Year
+     * @param {number|string} monthNum - Month, 1-12
+     * @returns {Object} {payableDays, daysInMonth}; payableDays is 0 after the month of leaving
+     */
+    static payableDays(lastWorkingDay, year, monthNum) {
+        const daysInMonth = new Date(Date.UTC(Number(year), Number(monthNum), 0)).getUTCDate();
+        const last = StaffLifecycle.parseDate(lastWorkingDay);
+        if (!last) return { payableDays: daysInMonth, daysInMonth };
+
+        const monthStart = Date.UTC(Number(year), Number(monthNum) - 1, 1);
+        const monthEnd = Date.UTC(Number(year), Number(monthNum) - 1, daysInMonth);
+        if (last.getTime() < monthStart) return { payableDays: 0, daysInMonth };
+        if (last.getTime() >= monthEnd) return { payableDays: daysInMonth, daysInMonth };
+        return { payableDays: last.getUTCDate(), daysInMonth };
+    }
+
+    /**
+     * Pay masters for a month with separated teachers left out, and those leaving
+     * during the month marked for pro-rata pay (see PayrollEngine.computeRecord)
+     * @param {Object} masters - Pay masters keyed by teacher ID
+     * @param {Object} separations - Separations keyed by teacher ID
+     * @param {number|string} year - Year
+     * @param {number|string} monthNum - Month, 1-12
+     * @returns {Object} {masters, excluded, prorated}
+     */
+    static applyToMasters(masters, separations, year, monthNum) {
+        const result = { masters: {}, excluded: [], prorated: [] };
+        Object.keys(masters || {}).forEach(teacherId => {
+            const master = masters[teacherId];
+            const separation = (separations || {})[teacherId];
+            if (!separation) {
+                result.masters[teacherId] = master;
+                return;
+            }
+
+            const days = StaffLifecycle.payableDays(separation.lastWorkingDay, year, monthNum);
+            const entry = { teacherId, teacherName: (master && master.teacherName) || '', lastWorkingDay: separation.lastWorkingDay, ...days };
+            if (days.payableDays === 0) {
+                result.excluded.push(entry);
+            } else if (days.payableDays < days.daysInMonth) {
+                result.masters[teacherId] = { ...master, ...days };
+                result.prorated.push(entry);
+            } else {
+                result.masters[teacherId] = master;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Length of service from the date of joining to the last working day
+     * @param {string} dateOfJoining - YYYY-MM-DD
+     * @param {string} lastWorkingDay - YYYY-MM-DD
+     * @returns {Object} {years, months, days, completedYears}; completedYears counts
+     *   more than six months of a final year as a full year
+     */
+    static serviceLength(dateOfJoining, lastWorkingDay) {
+        const from = StaffLifecycle.parseDate(dateOfJoining);
+        const to = StaffLifecycle.parseDate(lastWorkingDay);
+        if (!from || !to || to < from) return { years: 0, months: 0, days: 0, completedYears: 0 };
+
+        // The last working day counts as a day of service
+        const end = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+        let months = (end.getUTCFullYear() - from.getUTCFullYear()) * 12 + end.getUTCMonth() - from.getUTCMonth();
+        let days = end.getUTCDate() - from.getUTCDate();
+        if (days < 0) {
+            months -= 1;
+            days += new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 0)).getUTCDate();
+        }
+        const years = Math.floor(months / 12);
+        const remainder = months % 12;
+        const beyondSixMonths = remainder > 6 || (remainder === 6 && days > 0);
+        return { years, months: remainder, days, completedYears: years + (beyondSixMonths ? 1 : 0) };
+    }
+
+    /**
+     * Final settlement of a separation
+     * @param {Object} input - {dateOfJoining, lastWorkingDay, reason, leaveBalanceDays, basicPay, daPercent}
+     * @returns {Object} {wages, service, gratuity, leaveEncashment, total}
+     */
+    static computeSettlement(input) {
+        const basic = Number(input.basicPay) || 0;
+        const wages = Math.round(basic + basic * (Number(input.daPercent) || 0) / 100);
+        const service = StaffLifecycle.serviceLength(input.dateOfJoining, input.lastWorkingDay);
+        const rules = StaffLifecycle.GRATUITY;
+
+        const eligible = service.years >= rules.minimumYears || (input.reason === 'Death' && service.completedYears > 0);
+        const uncapped = eligible ? Math.round(wages * rules.daysPerYear / rules.workingDaysPerMonth * service.completedYears) : 0;
+        const gratuity = {
+            eligible,
+            years: service.completedYears,
+            amount: Math.min(uncapped, rules.ceiling),
+            capped: uncapped > rules.ceiling,
+            note: eligible ? '' : `Less than ${rules.minimumYears} years of service`
+        };
+
+        const leaveDays = Math.min(Number(input.leaveBalanceDays) || 0, StaffLifecycle.LEAVE_ENCASHMENT_MAX_DAYS);
+        const leaveEncashment = { days: leaveDays, amount: Math.round(wages / 30 * leaveDays) };
+
+        return { wages, service, gratuity, leaveEncashment, total: gratuity.amount + leaveEncashment.amount };
+    }
+
+    /**
+     * End of slip access, as a timestamp in milliseconds (end of the last day of
+     * the grace period, UTC)
+     * @param {string} lastWorkingDay - YYYY-MM-DD
+     * @param {number} graceDays - Days of access after the last working day
+     */
+    static accessUntil(lastWorkingDay, graceDays = StaffLifecycle.ACCESS_GRACE_DAYS) {
+        const last = StaffLifecycle.parseDate(lastWorkingDay);
+        return last ? last.getTime() + (graceDays + 1) * 24 * 60 * 60 * 1000 - 1 : 0;
+    }
+
+    /**
+     * Whether a teacher may sign in to see their slips: active staff, and former
+     * staff until their access ends
+     * @param {Object} teacher - Teacher record
+     * @param {number} now - Current time in milliseconds
+     */
+    static hasSlipAccess(teacher, now = Date.now()) {
+        if (!teacher) return false;
+        if (teacher.status === 'Active') return true;
+        return StaffLifecycle.isSeparated(teacher) && now <= (Number(teacher.separation.accessUntil) || 0);
+    }
+}
+
+// Export for use in other modules
+window.StaffLifecycle = StaffLifecycle;
@@ -0,0 +1,310 @@
+/**
+ * Statutory Reports
+ * Builds the files the accounts office files every month and quarter from pay
+ * run records: the EPFO electronic challan-cum-return (ECR 2.0 text file), the
+ * Maharashtra professional tax summary by slab, and the quarterly listing of
+ * salary TDS deductees (Form 24Q annexure). Each report is validated first;
+ * errors block the download because the portals reject the whole file.
+ *
+ * UAN and PAN are read from the record (paysheet columns) or, failing that,
+ * from the teacher's profile under teachers/{teacherId}.
+ */
+
+class StatutoryReports {
+    /**
+     * @param {Object} rates - Payroll rates (see PayrollEngine.DEFAULT_RATES)
+     * @param {Object} teachers - Teacher profiles keyed by teacher ID, for UAN and PAN
+     */
+    constructor(rates = {}, teachers = {}) {
+        this.rates = { ...PayrollEngine.DEFAULT_RATES, ...rates };
+        this.teachers = teachers || {};
+    }
+
+    /**
+     * Statutory EPS/EDLI wage ceiling and EPS contribution rate
+     */
+    static get EPS_WAGE_CEILING() {
+        return 15000;
+    }
+
+    static get EPS_PERCENT() {
+        return 8.33;
+    }
+
+    /**
+     * Months of each TDS quarter of a financial year, as two-digit month numbers
+     */
+    static get QUARTERS() {
+        return {
+            1: ['04', '05', '06'],
+            2: ['07', '08', '09'],
+            3: ['10', '11', '12'],
+            4: ['01', '02', '03']
+        };
+    }
+
+    /**
+     * Placeholder PAN the TDS return accepts for deductees without one
+     */
+    static get PAN_NOT_AVAILABLE() {
+        return 'PANNOTAVBL';
+    }
+
+    /**
+     * Whether a UAN is twelve digits
+     * @param {string} uan - Universal account number
+     */
+    static isValidUan(uan) {
+        return /^\d{12}$/.test((uan || '').toString().trim());
+    }
+
+    /**
+     * Whether a PAN is well formed (five letters, four digits, a letter) and
+     * belongs to an individual (fourth letter P)
+     * @param {string} pan - Permanent account number
+     */
+    static isValidPan(pan) {
+        return /^[A-Z]{3}P[A-Z]\d{4}[A-Z]$/.test((pan || '').toString().trim().toUpperCase());
+    }
+
+    /**
+     * Records of a pay run with UAN and PAN filled in from the teacher profiles
+     * @param {Object} paysheet - Paysheet node
+     * @returns {Array} Records sorted by teacher ID
+     */
+    getRecords(paysheet) {
+        return Object.values((paysheet && paysheet.records) || {})
+            .filter(record => record && record.teacherId)
+            .map(record => {
+                const teacher = this.teachers[record.teacherId] || {};
+                return {
+                    ...record,
+                    uan: (record.uan || teacher.uan || '').toString().trim(),
+                    pan: (record.pan || teacher.pan || '').toString().trim().toUpperCase()
+                };
+            })
+            .sort((a, b) => a.teacherId.toString().localeCompare(b.teacherId.toString(), undefined, { numeric: true }));
+    }
+
+    /**
+     * File name part for a pay run, e.g. July_2025 or July_2025_Arrears_2
+     * @param {Object} paysheet - Paysheet node
+     */
+    static getRunLabel(paysheet) {
+        return PayRun.getTitle(paysheet).replace(/[^A-Za-z0-9]+/g, '_');
+    }
+
+    /**
+     * EPFO ECR 2.0 file for a pay run: one line per PF member, fields separated
+     * by #~#. EPF wages are the wages PF was charged on (PF ÷ PF rate); EPS and
+     * EDLI wages are capped at the statutory ceiling.
+     * @param {Object} paysheet - Paysheet node
+     * @returns {Object} {rows, errors, warnings, content, fileName}
+     */
+    buildEcr(paysheet) {
+        const errors = [];
+        const warnings = [];
+        const pfPercent = Number(this.rates.pfPercent) || 12;
+        const ceiling = StatutoryReports.EPS_WAGE_CEILING;
+
+        const rows = this.getRecords(paysheet)
+            .filter(record => (Number(record.pf) || 0) > 0)
+            .map(record => {
+                const label = `${record.teacherId} ${record.teacherName || ''}`.trim();
+                const name = (record.teacherName || '').toUpperCase().replace(/[^A-Z .]/g, '').replace(/\s+/g, ' ').trim();
+                const eeShare = Math.round(Number(record.pf));
+                const epfWages = Math.round(eeShare * 100 / pfPercent);
+                const epsWages = Math.min(epfWages, ceiling);
+                const edliWages = Math.min(epfWages, ceiling);
+                const epsShare = Math.round(epsWages * StatutoryReports.EPS_PERCENT / 100);
+                const erShare = Math.round(epfWages * pfPercent / 100) - epsShare;
+                const basicDa = (Number(record.revisedBasicPay || record.basicSalary) || 0) + (Number(record.da150 || record.da) || 0);
+
+                if (!StatutoryReports.isValidUan(record.uan)) errors.push(`${label}: UAN must be 12 digits`);
+                if (!name) errors.push(`${label}: member name is missing`);
+                if (basicDa > 0 && epfWages > basicDa + 1) {
+                    warnings.push(`${label}: PF of ${eeShare} is more than ${pfPercent}% of basic + DA`);
+                }
+
+                return {
+                    teacherId: record.teacherId,
+                    uan: record.uan,
+                    name,
+                    grossWages: Math.round(Number(record.grossTotal || record.grossSalary) || 0),
+                    epfWages,
+                    epsWages,
+                    edliWages,
+                    eeShare,
+                    epsShare,
+                    erShare,
+                    ncpDays: 0,
+                    refund: 0
+                };
+            });
+
+        if (rows.length === 0) errors.push('No PF deductions in this pay run');
+
+        const content = rows.map(row => [
+            row.uan, row.name, row.grossWages, row.epfWages, row.epsWages, row.edliWages,
+            row.eeShare, row.epsShare, row.erShare, row.ncpDays, row.refund
+        ].join('#~#')).join('\n');
+
+        return {
+            rows,
+            errors,
+            warnings,
+            totals: {
+                members: rows.length,
+                epfWages: rows.reduce((sum, row) => sum + row.epfWages, 0),
+                eeShare: rows.reduce((sum, row) => sum + row.eeShare, 0),
+                epsShare: rows.reduce((sum, row) => sum + row.epsShare, 0),
+                erShare: rows.reduce((sum, row) => sum + row.erShare, 0)
+            },
+            content,
+            fileName: `ECR_${StatutoryReports.getRunLabel(paysheet)}.txt`
+        };
+    }
+
+    /**
+     * Maharashtra professional tax summary of a pay run: employees and tax per
+     * slab of monthly gross, checking each deduction against its slab
+     * @param {Object} paysheet - Paysheet node
+     * @returns {Object} {rows, errors, warnings, content, fileName}
+     */
+    buildProfessionalTaxSummary(paysheet) {
+        const errors = [];
+        const warnings = [];
+        const engine = new PayrollEngine(this.rates);
+        const slabs = this.rates.professionalTaxSlabs || [];
+        const monthNum = paysheet.monthNum || '';
+
+        let lower = 0;
+        const rows = slabs.map(slab => {
+            const label = slab.upTo === null || slab.upTo === undefined
+                ? `Above ${lower.toLocaleString('en-IN')}`
+                : `${lower === 0 ? 'Up to' : `${(lower + 1).toLocaleString('en-IN')} to`} ${slab.upTo.toLocaleString('en-IN')}`;
+            const row = { slab, label, rate: engine.computeProfessionalTax(lower + 1, monthNum), employees: 0, amount: 0 };
+            lower = slab.upTo || lower;
+            return row;
+        });
+
+        this.getRecords(paysheet).forEach(record => {
+            const gross = Number(record.grossTotal || record.grossSalary) || 0;
+            const deducted = Number(record.profTax) || 0;
+            const row = rows.find(r => r.slab.upTo === null || r.slab.upTo === undefined || gross <= r.slab.upTo);
+            if (!row) return;
+
+            row.employees++;
+            row.amount += deducted;
+            if (deducted !== row.rate) {
+                warnings.push(`${record.teacherId} ${record.teacherName || ''}: deducted ${deducted}, slab rate is ${row.rate}`);
+            }
+        });
+
+        if (rows.length === 0) errors.push('No professional tax slabs are configured');
+
+        const total = rows.reduce((sum, row) => sum + row.amount, 0);
+        const lines = [
+            ['Slab (monthly gross, Rs.)', 'Rate (Rs.)', 'Employees', 'Tax Deducted (Rs.)'],
+            ...rows.map(row => [row.label, row.rate, row.employees, row.amount]),
+            ['Total', '', rows.reduce((sum, row) => sum + row.employees, 0), total]
+        ];
+
+        return {
+            rows,
+            errors,
+            warnings,
+            totals: { amount: total },
+            content: lines.map(line => line.map(PaysheetExporter.csvEscape).join(',')).join('\r\n') + '\r\n',
+            fileName: `Professional_Tax_${StatutoryReports.getRunLabel(paysheet)}.csv`
+        };
+    }
+
+    /**
+     * Salary TDS deductees of a quarter (section 192), one row per employee per
+     * pay run in which tax was deducted
+     * @param {Array} paysheets - Pay runs; those published in the quarter are listed
+     * @param {number} startYear - First calendar year of the financial year
+     * @param {number} quarter - 1 to 4
+     * @returns {Object} {rows, errors, warnings, content, fileName}
+     */
+    buildTdsQuarter(paysheets, startYear, quarter) {
+        const errors = [];
+        const warnings = [];
+        const label = `FY_${AnnualStatement.getLabel(startYear).replace('-', '_')}_Q${quarter}`;
+
+        const rows = [];
+        // Tax counts as deducted once the run is paid, i.e. published
+        paysheets
+            .filter(paysheet => PayRun.isVisibleToTeachers(paysheet))
+            .filter(paysheet => {
+                const period = StatutoryReports.getQuarter(paysheet);
+                return period && period.startYear === startYear && period.quarter === quarter;
+            })
+            .sort((a, b) => `${a.year}${a.monthNum}`.localeCompare(`${b.year}${b.monthNum}`) || PayRun.compare(a, b))
+            .forEach(paysheet => {
+                this.getRecords(paysheet)
+                    .filter(record => (Number(record.incomeTax) || 0) > 0)
+                    .forEach(record => {
+                        const name = `${record.teacherId} ${record.teacherName || ''}`.trim();
+                        let pan = record.pan;
+                        if (!pan) {
+                            warnings.push(`${name}: no PAN, reported as ${StatutoryReports.PAN_NOT_AVAILABLE} (TDS at a higher rate applies)`);
+                            pan = StatutoryReports.PAN_NOT_AVAILABLE;
+                        } else if (!StatutoryReports.isValidPan(pan)) {
+                            errors.push(`${name}: PAN ${pan} is not a valid individual PAN`);
+                        }
+
+                        const paymentDate = SalarySlipPDF.getDocumentDate({ ...record, month: paysheet.month, year: paysheet.year, monthNum: paysheet.monthNum });
+                        rows.push({
+                            teacherId: record.teacherId,
+                            pan,
+                            name: record.teacherName || '',
+                            section: '192',
+                            paymentDate: paymentDate.toISOString().split('T')[0],
+                            run: PayRun.getTitle(paysheet),
+                            amountPaid: Math.round(Number(record.grossTotal || record.grossSalary) || 0),
+                            taxDeducted: Math.round(Number(record.incomeTax) || 0)
+                        });
+                    });
+            });
+
+        if (rows.length === 0) errors.push('No income tax was deducted in this quarter');
+
+        const lines = [
+            ['Sr No', 'Employee ID', 'PAN', 'Name', 'Section', 'Date of Payment', 'Pay Run', 'Amount Paid (Rs.)', 'Tax Deducted (Rs.)'],
+            ...rows.map((row, index) => [index + 1, row.teacherId, row.pan, row.name, row.section, row.paymentDate, row.run, row.amountPaid, row.taxDeducted])
+        ];
+
+        return {
+            rows,
+            errors,
+            warnings,
+            totals: {
+                deductees: new Set(rows.map(row => row.teacherId)).size,
+                amountPaid: rows.reduce((sum, row) => sum + row.amountPaid, 0),
+                taxDeducted: rows.reduce((sum, row) => sum + row.taxDeducted, 0)
+            },
+            content: lines.map(line => line.map(PaysheetExporter.csvEscape).join(',')).join('\r\n') + '\r\n',
+            fileName: `TDS_Deductees_${label}.csv`
+        };
+    }
+
+    /**
+     * Quarter of the financial year a pay run falls in
+     * @param {Object} paysheet - Paysheet node with year and monthNum (or month name)
+     * @returns {Object|null} {startYear, quarter}, null when the run has no usable month
+     */
+    static getQuarter(paysheet) {
+        const startYear = AnnualStatement.getFinancialYear(paysheet);
+        if (!startYear) return null;
+        const monthNum = String(parseInt(paysheet.monthNum, 10) ||
+            (new Date(`${paysheet.month} 1, 2000`).getMonth() + 1)).padStart(2, '0');
+        const quarter = Object.keys(StatutoryReports.QUARTERS)
+            .find(key => StatutoryReports.QUARTERS[key].includes(monthNum));
+        return { startYear, quarter: parseInt(quarter, 10) };
+    }
+}
+
+// Export for use in other modules
+window.StatutoryReports = StatutoryReports;
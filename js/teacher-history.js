@@ -0,0 +1,241 @@
+/**
+ * Teacher History
+ * Effective-dated changes to a teacher's designation, department, pay scale and
+ * basic pay, kept in teacherHistory/{teacherId}/{entryId}. Each entry records the
+ * month it takes effect, why (promotion, increment, transfer...), the office
+ * order that authorised it, and the old and new value of every field it changed.
+ *
+ * teachers/{teacherId} keeps the values of the latest change to take effect. The
+ * structure in force in a month starts from each field's value before its first
+ * recorded change and applies, in the order they took effect, the changes in force
+ * by that month, so a change recorded late with an earlier date still lands in place.
+ */
+
+class TeacherHistory {
+    /**
+     * Fields whose changes are recorded
+     */
+    static get TRACKED_FIELDS() {
+        return {
+            designation: 'Designation',
+            department: 'Department',
+            payScale: 'Pay Scale',
+            basicPay: 'Basic Pay'
+        };
+    }
+
+    /**
+     * Pay master field each tracked field is kept under (payMasters/{teacherId})
+     */
+    static get MASTER_FIELDS() {
+        return {
+            designation: 'designation',
+            department: 'department',
+            payScale: 'payScale',
+            basicPay: 'revisedBasicPay'
+        };
+    }
+
+    /**
+     * Reasons a change can be recorded for
+     */
+    static get REASONS() {
+        return ['Promotion', 'Increment', 'Transfer', 'Pay Revision', 'Re-designation', 'Correction'];
+    }
+
+    /**
+     * Month key of a year and month number, e.g. "2025-07"
+     * @param {number|string} year - Year
+     * @param {number|string} monthNum - Month, 1-12
+     */
+    static monthKey(year, monthNum) {
+        return `${year}-${String(monthNum).padStart(2, '0')}`;
+    }
+
+    /**
+     * Readable form of a month key, e.g. "July 2025"
+     * @param {string} key - From monthKey()
+     */
+    static monthLabel(key) {
+        const [year, month] = (key || '').split('-').map(Number);
+        if (!year || !month) return key || '';
+        return new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    /**
+     * Tracked fields that differ between the stored record and an edited profile
+     * @param {Object} teacher - Stored record
+     * @param {Object} profile - Normalized profile
+     * @returns {Array} Field names
+     */
+    static changedFields(teacher, profile) {
+        return Object.keys(TeacherHistory.TRACKED_FIELDS).filter(field => {
+            if (profile[field] === undefined) return false;
+            return field === 'basicPay'
+                ? (Number(teacher[field]) || 0) !== (Number(profile[field]) || 0)
+                : (teacher[field] || '').toString() !== (profile[field] || '').toString();
+        });
+    }
+
+    /**
+     * Check the details entered for a change
+     * @param {Object} details - {effectiveFrom, reason, orderRef}
+     * @returns {Array} Error messages
+     */
+    static validate(details) {
+        const errors = [];
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(details.effectiveFrom || '')) {
+            errors.push('Choose the month the change takes effect from');
+        }
+        if (!TeacherHistory.REASONS.includes(details.reason)) {
+            errors.push('Choose the reason for the change');
+        }
+        if (!(details.orderRef || '').trim()) {
+            errors.push('Enter the office order reference');
+        }
+        return errors;
+    }
+
+    /**
+     * History entry for a profile edit
+     * @param {Object} teacher - Stored record, before the edit
+     * @param {Object} profile - Normalized profile
+     * @param {Object} details - {effectiveFrom, reason, orderRef}
+     * @param {string} recordedBy - Admin email
+     * @returns {Object|null} Entry, or null when no tracked field changed
+     */
+    static buildEntry(teacher, profile, details, recordedBy) {
+        const fields = TeacherHistory.changedFields(teacher, profile);
+        if (fields.length === 0) return null;
+
+        const changes = {};
+        fields.forEach(field => {
+            const from = teacher[field];
+            changes[field] = {
+                from: from === undefined || from === null ? '' : from,
+                to: profile[field]
+            };
+        });
+
+        return {
+            effectiveFrom: details.effectiveFrom,
+            reason: details.reason,
+            orderRef: details.orderRef.trim(),
+            changes,
+            recordedBy: recordedBy || null,
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Entries in the order they took effect; entries for the same month in the
+     * order they were recorded
+     * @param {Object|Array} entries - teacherHistory/{teacherId} node or array
+     * @returns {Array} Entries with their id
+     */
+    static sort(entries) {
+        const list = Array.isArray(entries)
+            ? entries
+            : Object.keys(entries || {}).map(id => ({ id, ...entries[id] }));
+        return list
+            .filter(entry => entry && entry.effectiveFrom && entry.changes)
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || (a.recordedAt || '').localeCompare(b.recordedAt || ''));
+    }
+
+    /**
+     * Designation, department, pay scale and basic pay in force in a month
+     * @param {Object} teacher - Current teacher record
+     * @param {Object|Array} entries - History entries
+     * @param {string} monthKey - From monthKey()
+     * @returns {Object} Tracked fields, plus the entries in force for each field
+     */
+    static asOf(teacher, entries, monthKey) {
+        const structure = {};
+        const source = {};
+        Object.keys(TeacherHistory.TRACKED_FIELDS).forEach(field => {
+            structure[field] = teacher[field] === undefined ? '' : teacher[field];
+            source[field] = null;
+        });
+
+        // Before any change: the old value of the first change recorded for the field
+        const sorted = TeacherHistory.sort(entries);
+        const baselineSet = new Set();
+        sorted.slice()
+            .sort((a, b) => (a.recordedAt || '').localeCompare(b.recordedAt || ''))
+            .forEach(entry => {
+                Object.keys(entry.changes).forEach(field => {
+                    if (!(field in structure) || baselineSet.has(field)) return;
+                    structure[field] = entry.changes[field].from;
+                    baselineSet.add(field);
+                });
+            });
+
+        sorted.filter(entry => entry.effectiveFrom <= monthKey).forEach(entry => {
+            Object.keys(entry.changes).forEach(field => {
+                if (!(field in structure)) return;
+                structure[field] = entry.changes[field].to;
+                source[field] = entry;
+            });
+        });
+
+        return { ...structure, source };
+    }
+
+    /**
+     * Structure once every recorded change has taken effect, which teachers/{teacherId}
+     * keeps
+     * @param {Object} teacher - Current teacher record
+     * @param {Object|Array} entries - History entries
+     */
+    static latest(teacher, entries) {
+        const sorted = TeacherHistory.sort(entries);
+        const lastMonth = sorted.length > 0 ? sorted[sorted.length - 1].effectiveFrom : '';
+        return TeacherHistory.asOf(teacher, sorted, lastMonth);
+    }
+
+    /**
+     * Pay masters with the designation, department, pay scale and basic pay in
+     * force in a month, for teachers whose history records a change to them
+     * @param {Object} masters - Pay masters keyed by teacher ID
+     * @param {Object} histories - History entries keyed by teacher ID
+     * @param {number|string} year - Year
+     * @param {number|string} monthNum - Month, 1-12
+     * @returns {Object} {masters, adjusted}; adjusted lists the teacher IDs changed
+     */
+    static applyToMasters(masters, histories, year, monthNum) {
+        const result = { masters: {}, adjusted: [] };
+        const monthKey = TeacherHistory.monthKey(year, monthNum);
+        Object.keys(masters || {}).forEach(teacherId => {
+            const master = masters[teacherId];
+            const entries = TeacherHistory.sort((histories || {})[teacherId]);
+            if (!master || entries.length === 0) {
+                result.masters[teacherId] = master;
+                return;
+            }
+
+            const current = {};
+            Object.keys(TeacherHistory.MASTER_FIELDS).forEach(field => {
+                current[field] = master[TeacherHistory.MASTER_FIELDS[field]];
+            });
+            const structure = TeacherHistory.asOf(current, entries, monthKey);
+
+            // Only fields the history records a change to; the rest stay as on the master
+            const adjusted = { ...master };
+            entries.forEach(entry => {
+                Object.keys(entry.changes).forEach(field => {
+                    const masterField = TeacherHistory.MASTER_FIELDS[field];
+                    if (!masterField) return;
+                    adjusted[masterField] = field === 'basicPay' ? Number(structure[field]) || 0 : structure[field];
+                });
+            });
+            if (Object.keys(adjusted).some(field => adjusted[field] !== master[field])) {
+                result.adjusted.push(teacherId);
+            }
+            result.masters[teacherId] = adjusted;
+        });
+        return result;
+    }
+}
+
+// Export for use in other modules
+window.TeacherHistory = TeacherHistory;
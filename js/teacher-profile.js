@@ -0,0 +1,193 @@
+/**
+ * Teacher Profile
+ * Fields an admin can view and edit on a teacher's record (teachers/{teacherId}),
+ * their validation, and the pay master fields they feed. Registration creates
+ * the pay structure fields empty; the office fills them here. Saving copies the
+ * changed fields into payMasters/{teacherId} so the next payroll run uses them.
+ *
+ * The sign-in email is shown but not editable: it is also the Firebase Auth
+ * account of the teacher and the teacherLogins entry used to sign in.
+ */
+
+class TeacherProfile {
+    /**
+     * Editable fields by section. Amount fields are stored as numbers.
+     */
+    static get SECTIONS() {
+        return [
+            {
+                title: 'Personal Details',
+                fields: [
+                    { field: 'name', label: 'Full Name', required: true },
+                    { field: 'email', label: 'Email (sign-in)', readOnly: true },
+                    { field: 'phone', label: 'Phone', required: true },
+                    { field: 'address', label: 'Address', multiline: true },
+                    { field: 'pan', label: 'PAN' },
+                    { field: 'uan', label: 'UAN' }
+                ]
+            },
+            {
+                title: 'Employment',
+                fields: [
+                    { field: 'designation', label: 'Designation', required: true },
+                    { field: 'department', label: 'Department', required: true, options: TeacherProfile.DEPARTMENTS },
+                    { field: 'employmentType', label: 'Employment Type', required: true, options: TeacherProfile.EMPLOYMENT_TYPES },
+                    { field: 'dateOfJoining', label: 'Date of Joining', date: true },
+                    { field: 'qualification', label: 'Qualification' }
+                ]
+            },
+            {
+                title: 'Pay Structure',
+                fields: [
+                    { field: 'payScale', label: 'Pay Scale' },
+                    { field: 'payBand', label: 'Pay Band' },
+                    { field: 'payInBand', label: 'Pay in Band', amount: true },
+                    { field: 'agp', label: 'A.G.P', amount: true },
+                    { field: 'basicPay', label: 'Basic Pay', amount: true },
+                    { field: 'additionalAllowance', label: 'Additional Allowance', amount: true }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Departments a teacher can belong to. Registration, the Add Teacher form and
+     * this profile all offer this list.
+     */
+    static get DEPARTMENTS() {
+        return [
+            'Information Technology',
+            'Computer Technology',
+            'Artificial Intelligence',
+            'Mechanical Engineering',
+            'Civil Engineering',
+            'Electrical Engineering',
+            'Electronics & Telecommunication',
+            'OFFICE',
+            'LIBRARY'
+        ];
+    }
+
+    /**
+     * Kinds of appointment
+     */
+    static get EMPLOYMENT_TYPES() {
+        return ['Permanent', 'Probation', 'Contract', 'Visiting'];
+    }
+
+    /**
+     * Profile fields and the pay master fields they are copied to
+     */
+    static get PAY_MASTER_FIELDS() {
+        return {
+            name: 'teacherName',
+            designation: 'designation',
+            department: 'department',
+            qualification: 'qualification',
+            pan: 'pan',
+            uan: 'uan',
+            payScale: 'payScale',
+            payBand: 'payBand',
+            agp: 'agp',
+            basicPay: 'revisedBasicPay',
+            additionalAllowance: 'addAllowance'
+        };
+    }
+
+    /**
+     * Every editable field, flattened
+     */
+    static fields() {
+        return TeacherProfile.SECTIONS
+            .flatMap(section => section.fields)
+            .filter(spec => !spec.readOnly);
+    }
+
+    /**
+     * Trim text fields, convert amounts and upper-case PAN
+     * @param {Object} form - Raw form values keyed by field
+     */
+    static normalize(form) {
+        const profile = {};
+        TeacherProfile.fields().forEach(spec => {
+            const value = form[spec.field];
+            if (spec.amount) {
+                profile[spec.field] = value === '' || value === undefined || value === null ? 0 : Number(value);
+            } else {
+                profile[spec.field] = (value || '').toString().trim();
+            }
+        });
+        profile.pan = profile.pan.toUpperCase();
+        profile.phone = profile.phone.replace(/[\s-]/g, '');
+        return profile;
+    }
+
+    /**
+     * Check a normalized profile before it is saved
+     * @param {Object} profile - From normalize()
+     * @param {Object} current - Record being edited; a list value it already holds
+     *   stays valid even if the list no longer offers it
+     * @returns {Array} Error messages
+     */
+    static validate(profile, current = {}) {
+        const errors = [];
+        TeacherProfile.fields().forEach(spec => {
+            const value = profile[spec.field];
+            if (spec.required && !value) errors.push(`${spec.label} is required`);
+            if (spec.options && value && !spec.options.includes(value) && value !== (current || {})[spec.field]) errors.push(`Choose a valid ${spec.label.toLowerCase()}`);
+            if (spec.amount && (isNaN(value) || value < 0)) errors.push(`${spec.label} must be zero or more`);
+        });
+
+        if (profile.phone && !/^(\+91)?[6-9]\d{9}$/.test(profile.phone)) {
+            errors.push('Phone must be a 10-digit mobile number');
+        }
+        if (profile.pan && !StatutoryReports.isValidPan(profile.pan)) {
+            errors.push('PAN must be 10 characters, e.g. ABCPE1234F');
+        }
+        if (profile.uan && !StatutoryReports.isValidUan(profile.uan)) {
+            errors.push('UAN must be 12 digits');
+        }
+        if (profile.dateOfJoining && !StaffLifecycle.parseDate(profile.dateOfJoining)) {
+            errors.push('Date of joining is not a valid date');
+        }
+        if (profile.payScale && !/^\d+\s*-\s*\d+(\s*-\s*\d+)*$/.test(profile.payScale)) {
+            errors.push('Pay scale must look like 15600-39100');
+        }
+        return errors;
+    }
+
+    /**
+     * Pay master fields to update from a profile. Only the given profile fields
+     * are copied, so saving a phone number does not overwrite a pay master seeded
+     * from a paysheet with the profile's empty pay structure.
+     * @param {string} teacherId - Teacher ID
+     * @param {Object} profile - Normalized profile
+     * @param {Array} fields - Profile fields to copy; all when omitted
+     */
+    static toPayMaster(teacherId, profile, fields = Object.keys(TeacherProfile.PAY_MASTER_FIELDS)) {
+        const master = { teacherId };
+        fields.filter(field => TeacherProfile.PAY_MASTER_FIELDS[field]).forEach(field => {
+            master[TeacherProfile.PAY_MASTER_FIELDS[field]] = profile[field];
+        });
+        return master;
+    }
+
+    /**
+     * Fields that differ between the stored record and the edited profile
+     * @param {Object} teacher - Stored record
+     * @param {Object} profile - Normalized profile
+     * @returns {Array} [{field, label, from, to}]
+     */
+    static changes(teacher, profile) {
+        return TeacherProfile.fields()
+            .filter(spec => {
+                const before = teacher[spec.field];
+                const after = profile[spec.field];
+                return spec.amount ? (Number(before) || 0) !== after : (before || '').toString() !== after;
+            })
+            .map(spec => ({ field: spec.field, label: spec.label, from: teacher[spec.field], to: profile[spec.field] }));
+    }
+}
+
+// Export for use in other modules
+window.TeacherProfile = TeacherProfile;
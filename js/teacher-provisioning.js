@@ -0,0 +1,136 @@
+/**
+ * Teacher Provisioning
+ * Creates teachers' Firebase Auth accounts from the admin dashboard without
+ * touching the admin's own session. createUserWithEmailAndPassword signs the
+ * new user in on the auth instance it is called on, so accounts are created on
+ * a second Firebase app ('provisioning') whose session is kept in memory only
+ * and signed out after each account.
+ *
+ * Every account gets a random password nobody sees; the teacher receives a
+ * password-setup (reset) email instead of an admin-chosen password. An email that
+ * already has an account is refused rather than linked, since nothing shows who
+ * holds that account.
+ */
+
+class TeacherProvisioning {
+    /**
+     * @param {Object} config - Firebase config; window.FIREBASE_CONFIG when omitted
+     */
+    constructor(config = null) {
+        this.config = config || window.FIREBASE_CONFIG || window.firebaseConfig;
+        this.app = null;
+        this.auth = null;
+    }
+
+    /**
+     * Name of the secondary Firebase app
+     */
+    static get APP_NAME() {
+        return 'provisioning';
+    }
+
+    /**
+     * Random password for a new account; the teacher replaces it from the email
+     * @param {number} length - Characters
+     */
+    static generatePassword(length = 24) {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789!@#$%^&*';
+        const values = new Uint32Array(length);
+        window.crypto.getRandomValues(values);
+        return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+    }
+
+    /**
+     * Secondary app's auth instance, created on first use
+     */
+    async getAuth() {
+        if (this.auth) return this.auth;
+
+        this.app = firebase.apps.find(app => app.name === TeacherProvisioning.APP_NAME)
+            || firebase.initializeApp(this.config, TeacherProvisioning.APP_NAME);
+        this.auth = this.app.auth();
+        await this.auth.setPersistence(firebase.auth.Auth.Persistence.NONE);
+        return this.auth;
+    }
+
+    /**
+     * Create a sign-in account, save the teacher with it, then send the
+     * password-setup email. When saving fails the new account is deleted again, so
+     * the email can be used on a retry.
+     * @param {string} email - Teacher's email
+     * @param {string} displayName - Teacher's name
+     * @param {Function} save - async (uid) => void; writes the teacher record
+     * @returns {Promise<Object>} {uid, emailSent}
+     */
+    async provision(email, displayName, save) {
+        const auth = await this.getAuth();
+        let user = null;
+
+        try {
+            const credential = await auth.createUserWithEmailAndPassword(email, TeacherProvisioning.generatePassword());
+            user = credential.user;
+            await user.updateProfile({ displayName });
+            await save(user.uid);
+        } catch (error) {
+            if (user) {
+                try {
+                    await user.delete();
+                } catch (deleteError) {
+                    console.error(`Could not delete the account created for ${email}:`, deleteError);
+                    error.orphanedAccount = email;
+                }
+            }
+            throw error;
+        } finally {
+            if (auth.currentUser) await auth.signOut();
+        }
+
+        let emailSent = true;
+        try {
+            await auth.sendPasswordResetEmail(email);
+        } catch (error) {
+            console.error(`Could not send the password setup email to ${email}:`, error);
+            emailSent = false;
+        }
+        return { uid: user.uid, emailSent };
+    }
+
+    /**
+     * Readable message for an Auth error
+     * @param {Error} error - Error from provision()
+     */
+    static describeError(error) {
+        if (error && error.orphanedAccount) {
+            return `${(error && error.message) || 'Unknown error'}. The sign-in account created for ${error.orphanedAccount} ` +
+                'could not be removed; delete it under Authentication in the Firebase console before retrying.';
+        }
+        switch (error && error.code) {
+            case 'auth/email-already-in-use':
+                return 'This email already has a sign-in account, so it was not used. Check who holds it, or use another email';
+            case 'auth/invalid-email':
+                return 'Invalid email address';
+            case 'auth/operation-not-allowed':
+                return 'Email/password sign-in is not enabled for this Firebase project';
+            case 'auth/too-many-requests':
+                return 'Too many accounts created in a short time; wait a few minutes and retry the remaining rows';
+            case 'auth/network-request-failed':
+                return 'Network error';
+            default:
+                return (error && error.message) || 'Unknown error';
+        }
+    }
+
+    /**
+     * Remove the secondary app once provisioning is done
+     */
+    async dispose() {
+        if (this.app) {
+            await this.app.delete();
+            this.app = null;
+            this.auth = null;
+        }
+    }
+}
+
+// Export for use in other modules
+window.TeacherProvisioning = TeacherProvisioning;
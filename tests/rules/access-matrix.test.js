@@ -0,0 +1,116 @@
+/**
+ * Access Matrix
+ * One read and one representative write on every top-level path, tried by every
+ * role. Anything not listed as allowed must be refused.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { ROLES, setupEnvironment, seed, databaseAs } = require('./helpers');
+
+const ADMINS = ['super', 'clerk', 'approver', 'auditor', 'readOnly'];
+const OFFICE = ['super', 'clerk'];
+const SIGNED_IN = ROLES.filter(role => role !== 'anon');
+
+const READS = [
+    { path: 'admins', allowed: ADMINS },
+    { path: 'teachers', allowed: ADMINS },
+    { path: 'teacherHistory', allowed: ADMINS },
+    { path: 'teacherLogins', allowed: [] },
+    { path: 'teacherLogins/N001', allowed: ROLES },
+    { path: 'teacherIds', allowed: ADMINS },
+    { path: 'teacherIds/N001', allowed: SIGNED_IN },
+    { path: 'teacherUids', allowed: ADMINS },
+    { path: 'teacherSlips', allowed: ADMINS },
+    { path: 'paysheets', allowed: ADMINS },
+    { path: 'paysheets/August_2025/status', allowed: ROLES },
+    { path: 'salarySlips', allowed: ADMINS },
+    { path: 'slipVerifications', allowed: [] },
+    { path: 'slipVerifications/CODE-N001', allowed: ROLES },
+    { path: 'paysheetData', allowed: ADMINS },
+    { path: 'employeeNumbers', allowed: SIGNED_IN },
+    { path: 'teacherIdAliases', allowed: ADMINS },
+    { path: 'imports', allowed: ['super', 'clerk', 'approver', 'auditor'] },
+    { path: 'importTemplates', allowed: ADMINS },
+    { path: 'payHeads', allowed: SIGNED_IN },
+    { path: 'payrollConfig', allowed: ADMINS },
+    { path: 'payMasters', allowed: ADMINS },
+    { path: 'taxDeclarations', allowed: ADMINS },
+    { path: 'investmentDeclarations', allowed: ADMINS },
+    { path: 'investmentProofs', allowed: ADMINS },
+    { path: 'payslipRequests', allowed: ADMINS }
+];
+
+const WRITES = [
+    { path: 'admins/newAdmin', value: { role: 'read_only', status: 'active', email: 'new@bvit.edu' }, allowed: ['super'] },
+    { path: 'teachers/N010', value: { id: 'N010', name: 'New Teacher', status: 'Active' }, allowed: OFFICE },
+    {
+        path: 'teacherHistory/N001/h2',
+        value: { effectiveFrom: '2025-10', reason: 'Increment', orderRef: 'OO/2', changes: { basicPay: { from: 42000, to: 44000 } } },
+        allowed: OFFICE
+    },
+    { path: 'teacherLogins/N010', value: { email: 'n010@bvit.edu' }, allowed: OFFICE },
+    { path: 'teacherIds/N010', value: true, allowed: OFFICE },
+    { path: 'teacherUids/newUid', value: 'N001', allowed: OFFICE },
+    { path: 'teacherSlips/N001/August_2025', value: { month: 'August', year: '2025' }, allowed: OFFICE },
+    { path: 'paysheets/August_2025/records/N001/netPay', value: 150, allowed: OFFICE },
+    { path: 'salarySlips/N001_August_2025', value: { teacherId: 'N001', netPay: 100 }, allowed: OFFICE },
+    { path: 'slipVerifications/CODE-NEW', value: { teacherName: 'Teacher N001', netPay: 100, paysheetId: 'August_2025' }, allowed: OFFICE },
+    { path: 'paysheetData/August_2025', value: { uploadedBy: 'clerk@bvit.edu' }, allowed: OFFICE },
+    { path: 'employeeNumbers/scheme', value: { prefix: 'T', digits: 4 }, allowed: OFFICE },
+    { path: 'teacherIdAliases/OLD002', value: { teacherId: 'N001' }, allowed: OFFICE },
+    { path: 'imports/impNew', value: { id: 'impNew', paysheetKey: 'January_2026', mode: 'replace' }, allowed: OFFICE },
+    { path: 'importTemplates/other', value: { name: 'Other' }, allowed: OFFICE },
+    { path: 'payHeads/hra', value: { id: 'hra', name: 'HRA', type: 'earning' }, allowed: OFFICE },
+    { path: 'payrollConfig/daPercent', value: 155, allowed: OFFICE },
+    { path: 'payMasters/N001/revisedBasicPay', value: 44000, allowed: OFFICE },
+    { path: 'taxDeclarations/2025/N001', value: { regime: 'old' }, allowed: ['teacher'] },
+    {
+        path: 'investmentDeclarations/2025/N001/item2',
+        value: { section: '80D', description: 'Health insurance', declaredAmount: 25000, status: 'Declared' },
+        allowed: ['teacher']
+    },
+    { path: 'investmentProofs/2025/N001/item1', value: { dataUrl: 'data:application/pdf;base64,AA==', contentType: 'application/pdf' }, allowed: ['teacher'] },
+    { path: 'payslipRequests/req2', value: { id: 'req2', teacherId: 'N001', status: 'Pending' }, allowed: ['super', 'clerk', 'teacher'] }
+];
+
+describe('access matrix', () => {
+    let testEnv;
+
+    before(async () => {
+        testEnv = await setupEnvironment();
+        await seed(testEnv);
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    describe('reads', () => {
+        READS.forEach(({ path, allowed }) => {
+            ROLES.forEach(role => {
+                const expected = allowed.includes(role);
+                it(`${role} ${expected ? 'can' : 'cannot'} read ${path}`, async () => {
+                    const read = databaseAs(testEnv, role).ref(path).once('value');
+                    await (expected ? assertSucceeds(read) : assertFails(read));
+                });
+            });
+        });
+    });
+
+    describe('writes', () => {
+        beforeEach(async () => {
+            await seed(testEnv);
+        });
+
+        WRITES.forEach(({ path, value, allowed }) => {
+            ROLES.forEach(role => {
+                const expected = allowed.includes(role);
+                it(`${role} ${expected ? 'can' : 'cannot'} write ${path}`, async () => {
+                    const write = databaseAs(testEnv, role).ref(path).set(value);
+                    await (expected ? assertSucceeds(write) : assertFails(write));
+                });
+            });
+        });
+    });
+});
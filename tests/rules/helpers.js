@@ -0,0 +1,150 @@
+/**
+ * Rules Test Helpers
+ * Loads database.rules.json into the Realtime Database emulator and seeds a small
+ * college: one admin per role, teachers in every state, and pay runs in every
+ * status. Run through `npm test`, which starts the emulator around the tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'demo-bvit-salary-slip';
+const FAR_FUTURE = 4102444800000; // 2100-01-01
+const LONG_AGO = 946684800000; // 2000-01-01
+
+/**
+ * Signed-in users the tests act as, keyed by the name used in the tests
+ */
+const USERS = {
+    super: { uid: 'super', token: { email: 'super@bvit.edu' } },
+    clerk: { uid: 'clerk', token: { email: 'clerk@bvit.edu' } },
+    approver: { uid: 'approver', token: { email: 'approver@bvit.edu' } },
+    auditor: { uid: 'auditor', token: { email: 'auditor@bvit.edu' } },
+    readOnly: { uid: 'readonly', token: { email: 'readonly@bvit.edu' } },
+    disabledClerk: { uid: 'disabled', token: { email: 'disabled@bvit.edu' } },
+    teacher: { uid: 't1', token: { email: 't1@bvit.edu', email_verified: true } },
+    separated: { uid: 't2', token: { email: 't2@bvit.edu', email_verified: true } },
+    expired: { uid: 't3', token: { email: 't3@bvit.edu', email_verified: true } },
+    pending: { uid: 't4', token: { email: 't4@bvit.edu', email_verified: false } },
+    stranger: { uid: 'stranger', token: { email: 'stranger@example.com', email_verified: true } }
+};
+
+/**
+ * Every role and who is signed in, in the order the access matrix lists them
+ */
+const ROLES = ['super', 'clerk', 'approver', 'auditor', 'readOnly', 'disabledClerk', 'teacher', 'stranger', 'anon'];
+
+const record = (teacherId, netPay) => ({ teacherId, teacherName: `Teacher ${teacherId}`, netPay, verificationCode: `CODE-${teacherId}` });
+
+/**
+ * Database contents every test starts from
+ */
+function seedData() {
+    const admin = (role, status = 'active') => ({ role, status, email: `${role}@bvit.edu` });
+    const teacher = (id, uid, status, extra = {}) => ({ id, uid, email: `${uid}@bvit.edu`, name: `Teacher ${id}`, status, ...extra });
+
+    return {
+        admins: {
+            super: admin('super_admin'),
+            clerk: admin('payroll_clerk'),
+            approver: admin('approver'),
+            auditor: admin('auditor'),
+            readonly: admin('read_only'),
+            disabled: admin('payroll_clerk', 'disabled')
+        },
+        teachers: {
+            N001: teacher('N001', 't1', 'Active'),
+            N002: teacher('N002', 't2', 'Separated', { separation: { lastWorkingDay: '2025-06-30', reason: 'Resigned', accessUntil: FAR_FUTURE } }),
+            N003: teacher('N003', 't3', 'Separated', { separation: { lastWorkingDay: '1999-06-30', reason: 'Retired', accessUntil: LONG_AGO } }),
+            N004: teacher('N004', 't4', 'Pending Approval')
+        },
+        teacherHistory: {
+            N001: { h1: { effectiveFrom: '2025-04', reason: 'Increment', orderRef: 'OO/1', changes: { basicPay: { from: 40000, to: 42000 } } } }
+        },
+        teacherLogins: {
+            N001: { email: 't1@bvit.edu' },
+            N002: { email: 't2@bvit.edu' },
+            N003: { email: 't3@bvit.edu' }
+        },
+        teacherIds: { N001: true, N002: true, N003: true, N004: true, N900: true },
+        teacherUids: { t1: 'N001', t2: 'N002', t3: 'N003', t4: 'N004' },
+        teacherSlips: {
+            N001: { July_2025: { month: 'July', year: '2025' } },
+            N002: { July_2025: { month: 'July', year: '2025' } },
+            N003: { July_2025: { month: 'July', year: '2025' } }
+        },
+        paysheets: {
+            June_2025: { month: 'June', year: '2025', records: { N001: record('N001', 100) } },
+            July_2025: { month: 'July', year: '2025', status: 'published', records: { N001: record('N001', 100), N002: record('N002', 200), N003: record('N003', 300) } },
+            August_2025: { month: 'August', year: '2025', status: 'draft', importId: 'impAugust', records: { N001: record('N001', 100) } },
+            September_2025: { month: 'September', year: '2025', status: 'approved', records: { N001: record('N001', 100) } },
+            October_2025: { month: 'October', year: '2025', status: 'verified', records: { N001: record('N001', 100) } },
+            // Imported by a super admin over an approved run, which sent it back to draft
+            November_2025: { month: 'November', year: '2025', status: 'draft', importId: 'impNovember', records: { N001: record('N001', 110) } },
+            // Points at the import of another run
+            December_2025: { month: 'December', year: '2025', status: 'draft', importId: 'impNovember', records: { N001: record('N001', 120) } }
+        },
+        imports: {
+            impAugust: { id: 'impAugust', paysheetKey: 'August_2025', mode: 'replace', previousPaysheet: { month: 'August', year: '2025', status: 'draft' } },
+            impNovember: { id: 'impNovember', paysheetKey: 'November_2025', mode: 'replace', previousPaysheet: { month: 'November', year: '2025', status: 'approved' } }
+        },
+        salarySlips: {
+            N001_July_2025: { ...record('N001', 100), paysheetId: 'July_2025' }
+        },
+        slipVerifications: {
+            'CODE-N001': { teacherName: 'Teacher N001', month: 'July', year: '2025', netPay: 100, paysheetId: 'July_2025' },
+            'CODE-REVOKED': {
+                teacherName: 'Teacher N002', month: 'July', year: '2025', netPay: 200, paysheetId: 'July_2025',
+                revoked: { reason: 'Issued in error', revokedBy: 'approver@bvit.edu', revokedAt: '2025-08-01T00:00:00.000Z' }
+            }
+        },
+        paysheetData: { July_2025: { uploadedBy: 'clerk@bvit.edu' } },
+        employeeNumbers: { scheme: { prefix: 'N', digits: 3 }, next: 5 },
+        teacherIdAliases: { OLD001: { teacherId: 'N001' } },
+        importTemplates: { default: { name: 'Default' } },
+        payHeads: { revisedBasicPay: { id: 'revisedBasicPay', name: 'Revised Basic Pay', type: 'earning' } },
+        payrollConfig: { daPercent: 150 },
+        payMasters: { N001: { teacherId: 'N001', revisedBasicPay: 42000 } },
+        taxDeclarations: { 2025: { N001: { regime: 'new' } } },
+        investmentDeclarations: {
+            2025: { N001: { item1: { section: '80C', description: 'PPF', declaredAmount: 50000, status: 'Declared' } } }
+        },
+        payslipRequests: { req1: { id: 'req1', teacherId: 'N001', status: 'Pending' } }
+    };
+}
+
+/**
+ * Start a test environment on the emulator with the project's rules
+ */
+async function setupEnvironment() {
+    return initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        database: {
+            rules: fs.readFileSync(path.join(__dirname, '..', '..', 'database.rules.json'), 'utf8')
+        }
+    });
+}
+
+/**
+ * Replace the database contents with the seed data, bypassing the rules
+ * @param {RulesTestEnvironment} testEnv - From setupEnvironment()
+ */
+async function seed(testEnv) {
+    await testEnv.clearDatabase();
+    await testEnv.withSecurityRulesDisabled(context => context.database().ref().set(seedData()));
+}
+
+/**
+ * Database handle acting as one of USERS, or signed out for 'anon'
+ * @param {RulesTestEnvironment} testEnv - From setupEnvironment()
+ * @param {string} name - Key of USERS, or 'anon'
+ */
+function databaseAs(testEnv, name) {
+    if (name === 'anon') return testEnv.unauthenticatedContext().database();
+    const user = USERS[name];
+    if (!user) throw new Error(`Unknown test user ${name}`);
+    return testEnv.authenticatedContext(user.uid, user.token).database();
+}
+
+module.exports = { PROJECT_ID, USERS, ROLES, seedData, setupEnvironment, seed, databaseAs };
@@ -0,0 +1,220 @@
+/**
+ * Pay Run Rules
+ * Imports over runs in each status, the write-once import snapshot that undo
+ * restores from, and the status transitions each role may make.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { setupEnvironment, seed, seedData, databaseAs } = require('./helpers');
+
+const draftRun = (month, extra = {}) => ({
+    month,
+    year: '2025',
+    status: 'draft',
+    records: { N001: { teacherId: 'N001', teacherName: 'Teacher N001', netPay: 999 } },
+    ...extra
+});
+
+describe('pay runs', () => {
+    let testEnv;
+
+    before(async () => {
+        testEnv = await setupEnvironment();
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await seed(testEnv);
+    });
+
+    describe('imports', () => {
+        it('lets a clerk import over a draft run', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'clerk').ref('paysheets/August_2025').set(draftRun('August')));
+        });
+
+        it('lets a clerk import a new run as draft', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'clerk').ref('paysheets/January_2026').set(draftRun('January')));
+        });
+
+        it('refuses a clerk importing a run in any other status', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('paysheets/January_2026').set(draftRun('January', { status: 'approved' })));
+        });
+
+        ['September_2025', 'October_2025', 'July_2025', 'June_2025'].forEach(key => {
+            it(`refuses a clerk importing over ${seedData().paysheets[key].status || 'legacy'} ${key}`, async () => {
+                await assertFails(databaseAs(testEnv, 'clerk').ref(`paysheets/${key}`).set(draftRun(key.split('_')[0])));
+            });
+        });
+
+        ['September_2025', 'October_2025'].forEach(key => {
+            it(`lets a super admin send ${seedData().paysheets[key].status} ${key} back to draft with an import`, async () => {
+                await assertSucceeds(databaseAs(testEnv, 'super').ref(`paysheets/${key}`).set(draftRun(key.split('_')[0])));
+            });
+        });
+
+        ['July_2025', 'June_2025'].forEach(key => {
+            it(`refuses a super admin importing over ${seedData().paysheets[key].status || 'legacy'} ${key}`, async () => {
+                await assertFails(databaseAs(testEnv, 'super').ref(`paysheets/${key}`).set(draftRun(key.split('_')[0])));
+            });
+        });
+
+        it('lets a super admin import over a legacy run once it is reopened', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'approver').ref('paysheets/June_2025/status').set('draft'));
+            await assertSucceeds(databaseAs(testEnv, 'super').ref('paysheets/June_2025').set(draftRun('June')));
+        });
+
+        it('refuses a clerk changing the records of an approved run', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('paysheets/September_2025/records/N001/netPay').set(1));
+        });
+
+        it('refuses an approver importing', async () => {
+            await assertFails(databaseAs(testEnv, 'approver').ref('paysheets/August_2025').set(draftRun('August')));
+        });
+    });
+
+    describe('import snapshots', () => {
+        it('records the replaced run as it stands', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'super').ref('imports/impSeptember').set({
+                id: 'impSeptember',
+                paysheetKey: 'September_2025',
+                previousPaysheet: { month: 'September', year: '2025', status: 'approved' }
+            }));
+        });
+
+        it('refuses a snapshot whose status the run does not have', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('imports/impForged').set({
+                id: 'impForged',
+                paysheetKey: 'August_2025',
+                previousPaysheet: { month: 'August', year: '2025', status: 'approved' }
+            }));
+        });
+
+        it('refuses a snapshot-less import over an existing run', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('imports/impForged').set({ id: 'impForged', paysheetKey: 'August_2025' }));
+        });
+
+        it('refuses overwriting an import', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('imports/impAugust').set({ id: 'impAugust', paysheetKey: 'January_2026' }));
+        });
+
+        it('refuses changing the status in a snapshot', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('imports/impAugust/previousPaysheet/status').set('approved'));
+            await assertFails(databaseAs(testEnv, 'super').ref('imports/impAugust/previousPaysheet/status').set('approved'));
+        });
+
+        it('records an undo only once', async () => {
+            const db = databaseAs(testEnv, 'clerk');
+            await assertSucceeds(db.ref('imports/impAugust').update({ undoneAt: 1, undoneBy: 'clerk@bvit.edu' }));
+            await assertFails(db.ref('imports/impAugust/undoneAt').set(2));
+            await assertFails(db.ref('imports/impAugust/undoneBy').remove());
+        });
+
+        it('refuses recording the undo of an import that does not exist', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('imports/impMissing/undoneAt').set(1));
+        });
+    });
+
+    describe('undo', () => {
+        const restored = () => ({ ...seedData().paysheets.November_2025, status: 'approved' });
+
+        it('lets a super admin restore the status the import replaced', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'super').ref('paysheets/November_2025').set(restored()));
+        });
+
+        it('refuses a clerk restoring an approved run', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('paysheets/November_2025').set(restored()));
+        });
+
+        it('refuses restoring a status the import did not replace', async () => {
+            await assertFails(databaseAs(testEnv, 'super').ref('paysheets/November_2025').set({ ...restored(), status: 'published' }));
+        });
+
+        it('refuses restoring through the import of another run', async () => {
+            await assertFails(databaseAs(testEnv, 'super').ref('paysheets/December_2025').set({ ...seedData().paysheets.December_2025, status: 'approved' }));
+        });
+
+        it('refuses restoring a run without an import to a status other than draft', async () => {
+            await assertFails(databaseAs(testEnv, 'super').ref('paysheets/October_2025').set({ ...seedData().paysheets.October_2025, status: 'approved' }));
+        });
+
+        it('lets a clerk remove a draft run created by an import', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'clerk').ref('paysheets/August_2025').remove());
+        });
+
+        it('refuses a clerk removing an approved run', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('paysheets/September_2025').remove());
+        });
+    });
+
+    describe('status transitions', () => {
+        const TRANSITIONS = [
+            { key: 'August_2025', to: 'verified', allowed: ['super', 'clerk'] },
+            { key: 'August_2025', to: 'approved', allowed: [] },
+            { key: 'August_2025', to: 'published', allowed: [] },
+            { key: 'October_2025', to: 'approved', allowed: ['super', 'approver'] },
+            { key: 'October_2025', to: 'draft', allowed: ['super', 'approver'] },
+            { key: 'October_2025', to: 'published', allowed: [] },
+            { key: 'September_2025', to: 'published', allowed: ['super', 'approver'] },
+            { key: 'September_2025', to: 'draft', allowed: ['super', 'approver'] },
+            { key: 'September_2025', to: 'verified', allowed: [] },
+            { key: 'July_2025', to: 'locked', allowed: ['super', 'approver'] },
+            { key: 'July_2025', to: 'draft', allowed: ['super', 'approver'] },
+            { key: 'July_2025', to: 'approved', allowed: [] },
+            { key: 'June_2025', to: 'locked', allowed: ['super', 'approver'] },
+            { key: 'June_2025', to: 'draft', allowed: ['super', 'approver'] },
+            { key: 'June_2025', to: 'approved', allowed: [] }
+        ];
+        const ROLES = ['super', 'clerk', 'approver', 'auditor', 'readOnly', 'disabledClerk', 'teacher'];
+
+        TRANSITIONS.forEach(({ key, to, allowed }) => {
+            const from = seedData().paysheets[key].status || 'legacy';
+            ROLES.forEach(role => {
+                const expected = allowed.includes(role);
+                it(`${role} ${expected ? 'can' : 'cannot'} move ${from} ${key} to ${to}`, async () => {
+                    const write = databaseAs(testEnv, role).ref(`paysheets/${key}/status`).set(to);
+                    await (expected ? assertSucceeds(write) : assertFails(write));
+                });
+            });
+        });
+
+        it('refuses a status for a run that does not exist', async () => {
+            await assertFails(databaseAs(testEnv, 'approver').ref('paysheets/January_2026/status').set('draft'));
+        });
+
+        it('refuses a clerk removing the status of a draft run', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('paysheets/August_2025/status').remove());
+        });
+
+        it('keeps the status history append-only', async () => {
+            const db = databaseAs(testEnv, 'approver');
+            await assertSucceeds(db.ref('paysheets/July_2025/statusHistory/e1').set({ from: 'published', to: 'locked' }));
+            await assertFails(db.ref('paysheets/July_2025/statusHistory/e1').set({ from: 'published', to: 'draft' }));
+            await assertFails(databaseAs(testEnv, 'auditor').ref('paysheets/July_2025/statusHistory/e2').set({ from: 'published', to: 'locked' }));
+        });
+    });
+
+    describe('teacher access to records', () => {
+        const CASES = [
+            { user: 'teacher', path: 'paysheets/July_2025/records/N001', expected: true, why: 'own record of a published run' },
+            { user: 'teacher', path: 'paysheets/June_2025/records/N001', expected: true, why: 'own record of a legacy run' },
+            { user: 'teacher', path: 'paysheets/August_2025/records/N001', expected: false, why: 'own record of a draft run' },
+            { user: 'teacher', path: 'paysheets/September_2025/records/N001', expected: false, why: 'own record of an approved run' },
+            { user: 'teacher', path: 'paysheets/July_2025/records/N002', expected: false, why: 'another teacher\'s record' },
+            { user: 'teacher', path: 'paysheets/July_2025', expected: false, why: 'the whole run' },
+            { user: 'separated', path: 'paysheets/July_2025/records/N002', expected: true, why: 'own record within the grace period' },
+            { user: 'expired', path: 'paysheets/July_2025/records/N003', expected: false, why: 'own record after the grace period' },
+            { user: 'stranger', path: 'paysheets/July_2025/records/N001', expected: false, why: 'a record without a linked ID' }
+        ];
+
+        CASES.forEach(({ user, path, expected, why }) => {
+            it(`${user} ${expected ? 'can' : 'cannot'} read ${why}`, async () => {
+                const read = databaseAs(testEnv, user).ref(path).once('value');
+                await (expected ? assertSucceeds(read) : assertFails(read));
+            });
+        });
+    });
+});
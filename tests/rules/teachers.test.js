@@ -0,0 +1,208 @@
+/**
+ * Teacher Rules
+ * Self-registration, linking an account to a teacher ID, the employee number
+ * counter, and what a teacher may read about themselves.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { setupEnvironment, seed, databaseAs } = require('./helpers');
+
+/**
+ * The writes teacher_login.html makes in one update when a stranger registers
+ */
+const registration = (teacherId, overrides = {}) => ({
+    [`teachers/${teacherId}`]: {
+        id: teacherId,
+        uid: 'stranger',
+        email: 'stranger@example.com',
+        name: 'New Teacher',
+        status: 'Pending Approval',
+        ...overrides
+    },
+    [`teacherIds/${teacherId}`]: true,
+    'teacherUids/stranger': teacherId
+});
+
+describe('teachers', () => {
+    let testEnv;
+
+    before(async () => {
+        testEnv = await setupEnvironment();
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await seed(testEnv);
+    });
+
+    describe('self-registration', () => {
+        it('creates a pending record, claims its ID and links the account', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'stranger').ref().update(registration('N010')));
+        });
+
+        it('refuses an ID already used by an imported paysheet', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref().update(registration('N900')));
+        });
+
+        it('refuses an ID that belongs to a teacher', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref().update(registration('N001')));
+        });
+
+        it('refuses registering as active', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref().update(registration('N010', { status: 'Active' })));
+        });
+
+        it('refuses another person\'s email', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref().update(registration('N010', { email: 't1@bvit.edu' })));
+        });
+
+        it('refuses recording a sign-in email', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref().update({
+                ...registration('N010'),
+                'teacherLogins/N010': { email: 'stranger@example.com' }
+            }));
+        });
+
+        it('refuses claiming an ID without creating its record', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref('teacherIds/N010').set(true));
+        });
+
+        it('refuses releasing a claimed ID', async () => {
+            await assertFails(databaseAs(testEnv, 'pending').ref('teacherIds/N004').remove());
+        });
+    });
+
+    describe('linking an account', () => {
+        const claim = (uid, token, teacherId) => testEnv.authenticatedContext(uid, token).database()
+            .ref(`teacherUids/${uid}`).set(teacherId);
+
+        it('links a verified email to the teacher ID the office recorded it for', async () => {
+            await assertSucceeds(claim('newcomer', { email: 't1@bvit.edu', email_verified: true }, 'N001'));
+        });
+
+        it('refuses an unverified email', async () => {
+            await assertFails(claim('newcomer', { email: 't1@bvit.edu', email_verified: false }, 'N001'));
+            await assertFails(claim('newcomer', { email: 't1@bvit.edu' }, 'N001'));
+        });
+
+        it('refuses an email recorded for another teacher ID', async () => {
+            await assertFails(claim('newcomer', { email: 't1@bvit.edu', email_verified: true }, 'N002'));
+        });
+
+        it('refuses someone else\'s pending record', async () => {
+            await assertFails(claim('stranger', { email: 'stranger@example.com', email_verified: true }, 'N004'));
+        });
+
+        it('refuses linking an account for someone else', async () => {
+            await assertFails(databaseAs(testEnv, 'teacher').ref('teacherUids/newcomer').set('N001'));
+        });
+
+        it('refuses changing a link', async () => {
+            await assertFails(databaseAs(testEnv, 'teacher').ref('teacherUids/t1').set('N002'));
+            await assertFails(databaseAs(testEnv, 'teacher').ref('teacherUids/t1').remove());
+        });
+    });
+
+    describe('employee number counter', () => {
+        it('lets anyone signed in take the next number', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'stranger').ref('employeeNumbers/next').set(6));
+        });
+
+        it('refuses skipping or going back', async () => {
+            await assertFails(databaseAs(testEnv, 'stranger').ref('employeeNumbers/next').set(7));
+            await assertFails(databaseAs(testEnv, 'teacher').ref('employeeNumbers/next').set(1));
+        });
+
+        it('lets the office reset the counter', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'clerk').ref('employeeNumbers/next').set(50));
+        });
+
+        it('refuses a counter below one', async () => {
+            await assertFails(databaseAs(testEnv, 'super').ref('employeeNumbers/next').set(0));
+        });
+
+        it('refuses signed-out users', async () => {
+            await assertFails(databaseAs(testEnv, 'anon').ref('employeeNumbers/next').set(6));
+        });
+
+        it('refuses a prefix the ID format cannot carry', async () => {
+            await assertFails(databaseAs(testEnv, 'super').ref('employeeNumbers/scheme').set({ prefix: 'n/', digits: 3 }));
+        });
+    });
+
+    describe('own records', () => {
+        const CASES = [
+            { user: 'teacher', path: 'teachers/N001', expected: true },
+            { user: 'teacher', path: 'teachers/N002', expected: false },
+            { user: 'teacher', path: 'teacherHistory/N001', expected: true },
+            { user: 'teacher', path: 'teacherHistory/N002', expected: false },
+            { user: 'teacher', path: 'teacherUids/t1', expected: true },
+            { user: 'teacher', path: 'teacherUids/t2', expected: false },
+            { user: 'teacher', path: 'teacherSlips/N001', expected: true },
+            { user: 'teacher', path: 'teacherSlips/N002', expected: false },
+            { user: 'separated', path: 'teacherSlips/N002', expected: true },
+            { user: 'expired', path: 'teacherSlips/N003', expected: false },
+            { user: 'teacher', path: 'taxDeclarations/2025/N001', expected: true },
+            { user: 'teacher', path: 'investmentDeclarations/2025/N002', expected: false }
+        ];
+
+        CASES.forEach(({ user, path, expected }) => {
+            it(`${user} ${expected ? 'can' : 'cannot'} read ${path}`, async () => {
+                const read = databaseAs(testEnv, user).ref(path).once('value');
+                await (expected ? assertSucceeds(read) : assertFails(read));
+            });
+        });
+
+        it('refuses a teacher changing their own record or history', async () => {
+            await assertFails(databaseAs(testEnv, 'teacher').ref('teachers/N001/status').set('Active'));
+            await assertFails(databaseAs(testEnv, 'teacher').ref('teacherHistory/N001/h2').set({
+                effectiveFrom: '2025-10', reason: 'Increment', orderRef: 'OO/2', changes: {}
+            }));
+        });
+
+        it('refuses a clerk rewriting a history entry', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('teacherHistory/N001/h1/orderRef').set('OO/9'));
+        });
+    });
+
+    describe('payslip requests', () => {
+        it('lets a teacher list their own requests', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'teacher').ref('payslipRequests').orderByChild('teacherId').equalTo('N001').once('value'));
+        });
+
+        it('refuses listing another teacher\'s requests', async () => {
+            await assertFails(databaseAs(testEnv, 'teacher').ref('payslipRequests').orderByChild('teacherId').equalTo('N002').once('value'));
+        });
+
+        it('refuses a teacher creating a request that is not pending or not their own', async () => {
+            const db = databaseAs(testEnv, 'teacher');
+            await assertFails(db.ref('payslipRequests/req2').set({ id: 'req2', teacherId: 'N001', status: 'Approved' }));
+            await assertFails(db.ref('payslipRequests/req2').set({ id: 'req2', teacherId: 'N002', status: 'Pending' }));
+        });
+
+        it('refuses a teacher changing a request', async () => {
+            await assertFails(databaseAs(testEnv, 'teacher').ref('payslipRequests/req1/status').set('Approved'));
+        });
+    });
+
+    describe('investment declarations', () => {
+        it('lets a teacher submit a proof for a declared item', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'teacher').ref('investmentDeclarations/2025/N001/item1/status').set('Submitted'));
+        });
+
+        it('refuses a teacher accepting their own item', async () => {
+            await assertFails(databaseAs(testEnv, 'teacher').ref('investmentDeclarations/2025/N001/item1/status').set('Accepted'));
+        });
+
+        it('lets the office accept a submitted item only', async () => {
+            const db = databaseAs(testEnv, 'clerk');
+            await assertFails(db.ref('investmentDeclarations/2025/N001/item1/status').set('Accepted'));
+            await assertSucceeds(databaseAs(testEnv, 'teacher').ref('investmentDeclarations/2025/N001/item1/status').set('Submitted'));
+            await assertSucceeds(db.ref('investmentDeclarations/2025/N001/item1/status').set('Accepted'));
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Slip Verification Rules
+ * The public verification page reads one code at a time; slips themselves stay
+ * private. Revocations are made by approvers and cannot be undone.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { setupEnvironment, seed, databaseAs } = require('./helpers');
+
+const revocation = () => ({ reason: 'Wrong amount', revokedBy: 'approver@bvit.edu', revokedAt: '2025-08-02T00:00:00.000Z' });
+
+describe('slip verification', () => {
+    let testEnv;
+
+    before(async () => {
+        testEnv = await setupEnvironment();
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    beforeEach(async () => {
+        await seed(testEnv);
+    });
+
+    describe('public lookup', () => {
+        it('reads a single code without signing in', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'anon').ref('slipVerifications/CODE-N001').once('value'));
+            await assertSucceeds(databaseAs(testEnv, 'anon').ref('slipVerifications/CODE-UNKNOWN').once('value'));
+        });
+
+        it('refuses listing the codes', async () => {
+            await assertFails(databaseAs(testEnv, 'anon').ref('slipVerifications').once('value'));
+            await assertFails(databaseAs(testEnv, 'anon').ref('slipVerifications').orderByChild('paysheetId').equalTo('July_2025').once('value'));
+        });
+
+        it('refuses querying slips by code or teacher', async () => {
+            await assertFails(databaseAs(testEnv, 'anon').ref('salarySlips').orderByChild('verificationCode').equalTo('CODE-N001').once('value'));
+            await assertFails(databaseAs(testEnv, 'teacher').ref('salarySlips').orderByChild('teacherId').equalTo('N001').once('value'));
+            await assertFails(databaseAs(testEnv, 'anon').ref('salarySlips/N001_July_2025').once('value'));
+        });
+    });
+
+    describe('revocation', () => {
+        it('lets an approver revoke a code', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'approver').ref('slipVerifications/CODE-N001/revoked').set(revocation()));
+        });
+
+        it('refuses a clerk revoking a code', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('slipVerifications/CODE-N001/revoked').set(revocation()));
+        });
+
+        it('refuses a revocation without a reason', async () => {
+            const withoutReason = { ...revocation(), reason: null };
+            await assertFails(databaseAs(testEnv, 'approver').ref('slipVerifications/CODE-N001/revoked').set(withoutReason));
+        });
+
+        it('refuses revoking a code that was never issued', async () => {
+            await assertFails(databaseAs(testEnv, 'approver').ref('slipVerifications/CODE-UNKNOWN/revoked').set(revocation()));
+        });
+
+        it('refuses revoking a code twice', async () => {
+            await assertFails(databaseAs(testEnv, 'approver').ref('slipVerifications/CODE-REVOKED/revoked').set(revocation()));
+        });
+
+        ['super', 'clerk', 'approver'].forEach(role => {
+            it(`refuses ${role} changing or removing a revocation`, async () => {
+                const db = databaseAs(testEnv, role);
+                await assertFails(db.ref('slipVerifications/CODE-REVOKED/revoked/reason').set('Changed'));
+                await assertFails(db.ref('slipVerifications/CODE-REVOKED/revoked').remove());
+                await assertFails(db.ref('slipVerifications/CODE-REVOKED').remove());
+                await assertFails(db.ref('slipVerifications/CODE-REVOKED').set({ teacherName: 'Teacher N002', netPay: 200, paysheetId: 'July_2025' }));
+            });
+        });
+    });
+
+    describe('imports', () => {
+        it('lets the office publish an entry', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'clerk').ref('slipVerifications/CODE-NEW').set({
+                teacherName: 'Teacher N001', month: 'August', year: '2025', netPay: 100, paysheetId: 'August_2025'
+            }));
+        });
+
+        it('refuses an entry without the details the page shows', async () => {
+            await assertFails(databaseAs(testEnv, 'clerk').ref('slipVerifications/CODE-NEW').set({ teacherName: 'Teacher N001' }));
+        });
+
+        it('lets the office mark a revoked code as replaced', async () => {
+            await assertSucceeds(databaseAs(testEnv, 'clerk').ref('slipVerifications/CODE-REVOKED/replacedAt').set(1));
+        });
+
+        it('refuses an approver publishing entries', async () => {
+            await assertFails(databaseAs(testEnv, 'approver').ref('slipVerifications/CODE-N001/netPay').set(1));
+        });
+    });
+});